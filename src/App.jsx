@@ -1,9 +1,16 @@
-import React, { useState, useRef, useCallback } from 'react';
-import html2canvas from 'html2canvas';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
 import Terminal from './components/Terminal';
+import TimelineEditor from './components/TimelineEditor';
+import FrameInspector from './components/FrameInspector';
 import { themes, fonts, cursorStyles, promptPresets, defaultConfig } from './utils/themes';
-import { createGIF } from './utils/gifEncoder';
-import { parseLines, generateAnimationFrames } from './utils/canvasRenderer';
+import { imageFormats } from './utils/gifEncoder';
+import { exportWithinBudget, formatBytes } from './utils/sizeBudget';
+import { supportsExportWorkers, createWorkerPool, encodeInPool } from './utils/workerPool';
+import { createVideo, videoFormats } from './utils/videoEncoder';
+import { parseLines, createFrameSource, createFinalFrameCanvas, generateFrameStates, loadBackgroundImage } from './utils/canvasRenderer';
+import { renderTerminalSVG, renderAnimatedSVG } from './utils/svgRenderer';
+import { DEFAULT_FPS, buildTimeline, loopLayout } from './utils/timeline';
+import { renderSoundTrack } from './utils/typingSounds';
 import {
   Play,
   RotateCcw,
@@ -14,12 +21,16 @@ import {
   Zap,
   Monitor,
   FileImage,
+  FileCode,
   Film,
+  Video,
   Copy,
   Check,
   Maximize,
   Star,
   Github,
+  X,
+  GalleryHorizontal,
 } from 'lucide-react';
 
 // Resolution presets for different platforms
@@ -35,6 +46,24 @@ const resolutionPresets = {
   hd: { name: 'HD 1080p', width: 1920, height: 1080 },
 };
 
+// Upload caps of common destinations
+const sizeLimits = [
+  { label: 'No size limit', bytes: 0 },
+  { label: 'Max 1 MB', bytes: 1024 * 1024 },
+  { label: 'Max 5 MB (Twitter/X)', bytes: 5 * 1024 * 1024 },
+  { label: 'Max 10 MB (GitHub)', bytes: 10 * 1024 * 1024 },
+  { label: 'Max 15 MB', bytes: 15 * 1024 * 1024 },
+];
+
+// What the size budget search changed, for the export report
+const budgetKnobLabels = {
+  scale: (from, to) => `scale ${from}x → ${to}x`,
+  fps: (from, to) => `${from} → ${to} fps`,
+  colors: (from, to) => `colors ${from} → ${to}`,
+  dither: () => 'dithering off',
+  quality: (from, to) => `quality ${Math.round(from * 100)}% → ${Math.round(to * 100)}%`,
+};
+
 const demoText = `> nmap -sV -sC 10.10.10.45
 !!
 Starting Nmap 7.94 ( https://nmap.org )
@@ -67,12 +96,20 @@ export default function App() {
   const [animationKey, setAnimationKey] = useState(0);
   const [isExporting, setIsExporting] = useState(false);
   const [exportProgress, setExportProgress] = useState(0);
+  const [exportStatus, setExportStatus] = useState(null);
+  const exportJobRef = useRef(null);
   const [activeTab, setActiveTab] = useState('editor');
   const [copied, setCopied] = useState(false);
+  const [copiedAnimated, setCopiedAnimated] = useState(false);
   const [selectedResolution, setSelectedResolution] = useState('auto');
+  const [imageSettings, setImageSettings] = useState({ format: 'gif', fps: DEFAULT_FPS, optimize: true, dither: false, maxSize: 0 });
+  const [gifStats, setGifStats] = useState(null);
+  const [budgetReport, setBudgetReport] = useState(null);
+  const [videoSettings, setVideoSettings] = useState({ format: 'mp4', fps: 30, bitrate: 5000000 });
+  // Frames opened in the frame inspector: { job, frames }, where `job` is what they were made from
+  const [inspection, setInspection] = useState(null);
 
   const terminalRef = useRef(null);
-  const staticTerminalRef = useRef(null);
   // Split lines but preserve blank lines for proper spacing
   const lines = inputText.split('\n').filter((line, index, arr) => {
     // Keep non-empty lines
@@ -81,9 +118,18 @@ export default function App() {
     const hasContentAfter = arr.slice(index + 1).some(l => l.trim() !== '');
     return hasContentAfter;
   });
+  // What the filter dropped, kept when the timeline editor writes the script back
+  const trailingBlankLines = inputText.split('\n').slice(lines.length);
+  // How animated images and SVGs hold the loop count and ending
+  const plays = loopLayout(config.loopCount, config.ending);
 
   const updateConfig = (key, value) => setConfig((prev) => ({ ...prev, [key]: value }));
 
+  // Edited frames only fit the script and settings they were generated from
+  useEffect(() => {
+    setInspection(null);
+  }, [inputText, config, imageSettings.fps, selectedResolution]);
+
   const handlePlay = useCallback(() => {
     setIsAnimating(false);
     setTimeout(() => {
@@ -97,72 +143,28 @@ export default function App() {
     setAnimationKey((prev) => prev + 1);
   }, []);
 
-  const exportAsPNG = async () => {
-    if (!staticTerminalRef.current) return;
-    setIsExporting(true);
-    try {
-      const preset = resolutionPresets[selectedResolution];
-      const theme = themes[config.theme] || themes.hacker;
-
-      // Always capture at 2x scale for crisp, retina-quality text
-      const captureScale = 2;
+  const parseScript = () => parseLines(lines, config.promptText, {
+    typoRate: config.typoRate,
+    typoSeed: config.typoSeed,
+    autoClear: config.autoClear,
+  });
 
-      let canvas = await html2canvas(staticTerminalRef.current, {
-        backgroundColor: theme.background,
-        scale: captureScale,
-        logging: false,
-        useCORS: true,
-      });
+  // Static exports draw the final animation frame with the same renderer and preset fitting as the GIF
+  const renderFinalFrame = async () => {
+    const preset = resolutionPresets[selectedResolution];
+    const theme = themes[config.theme] || themes.hacker;
 
-      // For specific resolution presets, create a 2x canvas for retina quality
-      if (preset.width && preset.height) {
-        // Output at 2x resolution for crisp text
-        const outputScale = 2;
-        const resizedCanvas = document.createElement('canvas');
-        resizedCanvas.width = preset.width * outputScale;
-        resizedCanvas.height = preset.height * outputScale;
-        const ctx = resizedCanvas.getContext('2d');
-
-        // Fill with theme background
-        ctx.fillStyle = theme.background;
-        ctx.fillRect(0, 0, resizedCanvas.width, resizedCanvas.height);
-
-        // Small padding on all sides for aesthetics (scaled)
-        const padding = 10 * outputScale;
-        const maxWidth = resizedCanvas.width - (padding * 2);
-        const maxHeight = resizedCanvas.height - (padding * 2);
-        const aspectRatio = canvas.width / canvas.height;
-
-        // First try to fill the full width
-        let targetWidth = maxWidth;
-        let targetHeight = maxWidth / aspectRatio;
-
-        // If height exceeds available space, scale down to fit height
-        if (targetHeight > maxHeight) {
-          targetHeight = maxHeight;
-          targetWidth = maxHeight * aspectRatio;
-        }
+    await loadBackgroundImage(config.backgroundImage);
+    return createFinalFrameCanvas(parseScript(), config, theme, {
+      targetWidth: preset.width,
+      targetHeight: preset.height,
+    });
+  };
 
-        // Center both horizontally and vertically
-        const drawX = padding + (maxWidth - targetWidth) / 2;
-        const drawY = padding + (maxHeight - targetHeight) / 2;
-
-        // Use high quality smoothing for any necessary scaling
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
-        ctx.drawImage(canvas, drawX, drawY, targetWidth, targetHeight);
-        canvas = resizedCanvas;
-      } else {
-        // Auto mode - use capture directly with background
-        const resizedCanvas = document.createElement('canvas');
-        resizedCanvas.width = canvas.width;
-        resizedCanvas.height = canvas.height;
-        const ctx = resizedCanvas.getContext('2d');
-        ctx.fillStyle = theme.background;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(canvas, 0, 0);
-        canvas = resizedCanvas;
-      }
+  const exportAsPNG = async () => {
+    setIsExporting(true);
+    try {
+      const canvas = await renderFinalFrame();
 
       const link = document.createElement('a');
       link.download = `terminal-${selectedResolution}.png`;
@@ -173,127 +175,211 @@ export default function App() {
     }
   };
 
-  const exportAsGIF = async () => {
+  // Animated exports render and encode in a worker pool when the browser supports it, so the
+  // page stays responsive; the job is kept so Cancel can abort it
+  const startExportJob = () => {
+    const job = {
+      controller: new AbortController(),
+      pool: supportsExportWorkers() ? createWorkerPool() : null,
+    };
+    exportJobRef.current = job;
+    return job;
+  };
+
+  const finishExportJob = (job) => {
+    if (job.pool) job.pool.terminate();
+    if (exportJobRef.current === job) exportJobRef.current = null;
+  };
+
+  const cancelExport = () => {
+    const job = exportJobRef.current;
+    if (!job) return;
+    job.controller.abort();
+    finishExportJob(job);
+  };
+
+  // Generate the animated image's frames into the frame inspector; GIF, APNG and WebP exports
+  // use the edited list until it's closed. Each frame gets an id to key its card by.
+  const inspectFrames = async () => {
+    const theme = themes[config.theme] || themes.hacker;
+    const preset = resolutionPresets[selectedResolution];
+    const parsedLines = parseScript();
+    const frameOptions = {
+      fps: imageSettings.fps,
+      repeat: plays.repeat,
+      finalEnding: plays.finalEnding,
+      typingSpeed: config.typingSpeed,
+      targetWidth: preset.width,
+      targetHeight: preset.height,
+    };
+
+    await loadBackgroundImage(config.backgroundImage);
+    setInspection({
+      job: { parsedLines, config, theme, frameOptions },
+      frames: generateFrameStates(parsedLines, config, frameOptions).map((frame, id) => ({ ...frame, id })),
+    });
+  };
+
+  const exportAsAnimation = async () => {
+    const job = startExportJob();
+    const { pool } = job;
     setIsExporting(true);
     setExportProgress(0);
     setIsAnimating(false);
+    setGifStats(null);
+    setBudgetReport(null);
 
     try {
       const theme = themes[config.theme] || themes.hacker;
       const preset = resolutionPresets[selectedResolution];
 
       // Parse lines to get line info
-      const parsedLineInfo = parseLines(lines, config.promptText);
+      const parsedLineInfo = parseScript();
 
-      setExportProgress(0.1);
-
-      // Generate all animation frames using canvas rendering
-      // Pass target dimensions if a specific resolution is selected
-      const frames = generateAnimationFrames(parsedLineInfo, config, theme, {
-        targetFrameCount: 40,
-        typingSpeed: config.typingSpeed,
-        targetWidth: preset.width,
-        targetHeight: preset.height,
-      });
+      // Frames are drawn synchronously, so the background image has to be decoded first
+      await loadBackgroundImage(config.backgroundImage);
 
-      setExportProgress(0.3);
+      setExportProgress(0.1);
 
-      // Generate the GIF
-      const gifBlob = await createGIF(frames, {
-        width: frames[0]?.canvas.width || 800,
-        height: frames[0]?.canvas.height || 400,
-        onProgress: (p) => setExportProgress(0.3 + p * 0.7),
+      // Render and encode as GIF, APNG or animated WebP, re-encoding at lower settings
+      // until the file fits the size limit (if one is set)
+      const format = imageFormats[imageSettings.format];
+      const { maxSize } = imageSettings;
+      const result = await exportWithinBudget(parsedLineInfo, config, theme, {
+        format: imageSettings.format,
+        maxBytes: maxSize,
+        settings: { fps: imageSettings.fps, dither: imageSettings.dither },
+        frameOptions: {
+          repeat: plays.repeat,
+          finalEnding: plays.finalEnding,
+          typingSpeed: config.typingSpeed,
+          targetWidth: preset.width,
+          targetHeight: preset.height,
+          ...(inspection && { frames: inspection.frames }),
+        },
+        encodeOptions: {
+          loop: plays.loop,
+          optimize: imageSettings.optimize,
+        },
+        onStats: setGifStats,
+        signal: job.controller.signal,
+        ...(pool && {
+          encodeFrames: (frameOptions, options, onProgress) => encodeInPool(
+            pool,
+            imageSettings.format,
+            { parsedLines: parsedLineInfo, config, theme, frameOptions },
+            options,
+            { onProgress, onStats: setGifStats },
+          ),
+        }),
+        onAttempt: (attempt) => {
+          if (attempt > 1) setExportStatus(`Fitting under ${formatBytes(maxSize)} (attempt ${attempt})...`);
+        },
+        onProgress: (p) => setExportProgress(0.1 + p * 0.9),
       });
+      setBudgetReport(maxSize ? { ...result, format: imageSettings.format, bytes: result.blob.size, maxBytes: maxSize } : null);
+      const imageBlob = result.blob;
 
-      if (gifBlob) {
+      if (imageBlob) {
         const link = document.createElement('a');
-        link.download = `terminal-animation.gif`;
-        link.href = URL.createObjectURL(gifBlob);
+        link.download = `terminal-animation.${format.extension}`;
+        link.href = URL.createObjectURL(imageBlob);
         link.click();
         URL.revokeObjectURL(link.href);
       }
     } catch (e) {
-      alert('Export failed: ' + e.message);
+      if (e.name !== 'AbortError') alert('Export failed: ' + e.message);
     } finally {
+      finishExportJob(job);
       setIsExporting(false);
       setExportProgress(0);
+      setExportStatus(null);
     }
   };
 
-  const copyAsSVG = async () => {
-    if (!staticTerminalRef.current) return;
+  const exportAsVideo = async () => {
+    const job = startExportJob();
+    const { signal } = job.controller;
+    setIsExporting(true);
+    setExportProgress(0);
+    setIsAnimating(false);
+
     try {
-      const preset = resolutionPresets[selectedResolution];
       const theme = themes[config.theme] || themes.hacker;
+      const preset = resolutionPresets[selectedResolution];
+      const parsedLineInfo = parseScript();
 
-      // Always capture at 2x scale for crisp text
-      const captureScale = 2;
+      await loadBackgroundImage(config.backgroundImage);
 
-      let canvas = await html2canvas(staticTerminalRef.current, {
-        backgroundColor: theme.background,
-        scale: captureScale,
-        logging: false,
-        useCORS: true,
-      });
+      setExportProgress(0.1);
 
-      let width, height;
-
-      // For specific resolution presets
-      if (preset.width && preset.height) {
-        // Output at 2x resolution for crisp text
-        const outputScale = 2;
-        const resizedCanvas = document.createElement('canvas');
-        resizedCanvas.width = preset.width * outputScale;
-        resizedCanvas.height = preset.height * outputScale;
-        const ctx = resizedCanvas.getContext('2d');
-
-        ctx.fillStyle = theme.background;
-        ctx.fillRect(0, 0, resizedCanvas.width, resizedCanvas.height);
-
-        // Small padding on all sides (scaled)
-        const padding = 10 * outputScale;
-        const maxWidth = resizedCanvas.width - (padding * 2);
-        const maxHeight = resizedCanvas.height - (padding * 2);
-        const aspectRatio = canvas.width / canvas.height;
-
-        // First try to fill the full width
-        let targetWidth = maxWidth;
-        let targetHeight = maxWidth / aspectRatio;
-
-        // If height exceeds available space, scale down to fit height
-        if (targetHeight > maxHeight) {
-          targetHeight = maxHeight;
-          targetWidth = maxHeight * aspectRatio;
+      // Video players do their own looping, so a video holds the plays it was asked for,
+      // ending on the finished terminal unless it's meant to loop
+      const frameOptions = {
+        fps: videoSettings.fps,
+        repeat: config.loopCount || 1,
+        finalEnding: config.loopCount === 0,
+        typingSpeed: config.typingSpeed,
+        targetWidth: preset.width,
+        targetHeight: preset.height,
+      };
+
+      const hum = Boolean(config.crtHum && theme.crt);
+      const audio = config.typingSounds || hum
+        ? await renderSoundTrack(parsedLineInfo, buildTimeline(parsedLineInfo, config), {
+          clicks: config.typingSounds,
+          hum,
+          repeat: frameOptions.repeat,
+          finalEnding: frameOptions.finalEnding,
+        })
+        : null;
+
+      // Presets are exact pixel sizes; auto keeps the 2x canvas
+      const { format, fps, bitrate } = videoSettings;
+      const videoOptions = { format, fps, bitrate, width: preset.width, height: preset.height, audio };
+      const onProgress = (p) => setExportProgress(0.1 + p * 0.9);
+
+      let videoBlob = null;
+      // Workers can only encode with WebCodecs; when the worker finds no usable codec the
+      // MediaRecorder fallback runs here on the page
+      if (job.pool && typeof VideoEncoder !== 'undefined') {
+        const videoJob = { parsedLines: parsedLineInfo, config, theme, frameOptions };
+        try {
+          videoBlob = await encodeInPool(job.pool, 'video', videoJob, videoOptions, { onProgress });
+        } catch (e) {
+          if (e.name !== 'NotSupportedError') throw e;
         }
-
-        // Center both horizontally and vertically
-        const drawX = padding + (maxWidth - targetWidth) / 2;
-        const drawY = padding + (maxHeight - targetHeight) / 2;
-
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
-        ctx.drawImage(canvas, drawX, drawY, targetWidth, targetHeight);
-        canvas = resizedCanvas;
-        // SVG dimensions at 1x (the image inside is 2x for retina)
-        width = preset.width;
-        height = preset.height;
-      } else {
-        // Auto mode - use capture directly with background
-        const resizedCanvas = document.createElement('canvas');
-        resizedCanvas.width = canvas.width;
-        resizedCanvas.height = canvas.height;
-        const ctx = resizedCanvas.getContext('2d');
-        ctx.fillStyle = theme.background;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(canvas, 0, 0);
-        canvas = resizedCanvas;
-        width = canvas.width / 2; // Display at 1x, image is 2x
-        height = canvas.height / 2;
       }
+      if (!videoBlob) {
+        const source = createFrameSource(parsedLineInfo, config, theme, frameOptions);
+        videoBlob = await createVideo(source, { ...videoOptions, signal, onProgress });
+      }
+
+      const link = document.createElement('a');
+      link.download = `terminal-animation.${videoFormats[format].extension}`;
+      link.href = URL.createObjectURL(videoBlob);
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (e) {
+      if (e.name !== 'AbortError') alert('Export failed: ' + e.message);
+    } finally {
+      finishExportJob(job);
+      setIsExporting(false);
+      setExportProgress(0);
+    }
+  };
+
+
+  const copyAsSVG = async () => {
+    try {
+      const preset = resolutionPresets[selectedResolution];
+      const theme = themes[config.theme] || themes.hacker;
 
-      const dataUrl = canvas.toDataURL('image/png');
-      // SVG displays at 1x dimensions but contains 2x image for retina quality
-      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><image href="${dataUrl}" width="${width}" height="${height}"/></svg>`;
+      // Real vector output: shapes for the window, <text> for every run
+      const svg = renderTerminalSVG(parseScript(), config, theme, {
+        targetWidth: preset.width,
+        targetHeight: preset.height,
+      });
       await navigator.clipboard.writeText(svg);
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
@@ -302,6 +388,43 @@ export default function App() {
     }
   };
 
+  // Animated SVG: the GIF's timeline as CSS keyframes, small enough for a README
+  const renderAnimated = () => {
+    const preset = resolutionPresets[selectedResolution];
+    const theme = themes[config.theme] || themes.hacker;
+
+    return renderAnimatedSVG(parseScript(), config, theme, {
+      fps: imageSettings.fps,
+      loopCount: config.loopCount,
+      typingSpeed: config.typingSpeed,
+      targetWidth: preset.width,
+      targetHeight: preset.height,
+    });
+  };
+
+  const exportAsAnimatedSVG = () => {
+    try {
+      const blob = new Blob([renderAnimated()], { type: 'image/svg+xml' });
+      const link = document.createElement('a');
+      link.download = 'terminal-animation.svg';
+      link.href = URL.createObjectURL(blob);
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (e) {
+      alert('Export failed: ' + e.message);
+    }
+  };
+
+  const copyAnimatedSVG = async () => {
+    try {
+      await navigator.clipboard.writeText(renderAnimated());
+      setCopiedAnimated(true);
+      setTimeout(() => setCopiedAnimated(false), 2000);
+    } catch {
+      // Silent fail - clipboard may not be available
+    }
+  };
+
   const tabs = [
     { id: 'editor', label: 'Editor', icon: TerminalIcon },
     { id: 'themes', label: 'Themes', icon: Palette },
@@ -387,9 +510,20 @@ export default function App() {
                 <div className="flex items-center justify-between mb-3">
                   <div className="flex items-center space-x-3">
                     <div className="w-2 h-2 bg-purple-400 rounded-full animate-pulse" />
-                    <span className="text-sm text-purple-200 font-medium">Creating your masterpiece...</span>
+                    <span className="text-sm text-purple-200 font-medium">{exportStatus || 'Creating your masterpiece...'}</span>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm text-purple-300 font-mono bg-purple-500/20 px-3 py-1 rounded-lg">{Math.round(exportProgress * 100)}%</span>
+                    {exportJobRef.current && (
+                      <button
+                        onClick={cancelExport}
+                        className="flex items-center space-x-1 px-3 py-1 rounded-lg bg-white/5 hover:bg-red-500/20 border border-white/10 hover:border-red-500/40 text-sm text-gray-300 hover:text-red-200 transition-colors"
+                      >
+                        <X size={14} />
+                        <span>Cancel</span>
+                      </button>
+                    )}
                   </div>
-                  <span className="text-sm text-purple-300 font-mono bg-purple-500/20 px-3 py-1 rounded-lg">{Math.round(exportProgress * 100)}%</span>
                 </div>
                 <div className="h-2.5 bg-black/30 rounded-full overflow-hidden">
                   <div
@@ -424,26 +558,6 @@ export default function App() {
                 />
               </div>
             </div>
-
-            {/* Hidden terminal for PNG/SVG export */}
-            <div
-              className="absolute -left-[9999px] pointer-events-none"
-              style={{
-                width: resolutionPresets[selectedResolution]?.width
-                  ? `${resolutionPresets[selectedResolution].width}px`
-                  : '1200px'
-              }}
-            >
-              <Terminal
-                ref={staticTerminalRef}
-                config={config}
-                lines={lines}
-                isAnimating={false}
-                showComplete={true}
-                onAnimationComplete={() => {}}
-                onReset={() => {}}
-              />
-            </div>
           </div>
 
           {/* Tabs Card */}
@@ -487,6 +601,9 @@ export default function App() {
                           <span className="text-gray-600 mx-1">|</span>
                           <code className="px-2 py-0.5 rounded-md bg-cyan-500/10 text-cyan-400 border border-cyan-500/20">!!</code>
                           <span>instant output</span>
+                          <span className="text-gray-600 mx-1">|</span>
+                          <code className="px-2 py-0.5 rounded-md bg-pink-500/10 text-pink-400 border border-pink-500/20">{'{red}…{/}'}</code>
+                          <span>color</span>
                         </div>
                       </div>
                       <div className="relative group">
@@ -501,6 +618,13 @@ export default function App() {
                       </div>
                     </div>
 
+                    <TimelineEditor
+                      lines={lines}
+                      config={config}
+                      onLinesChange={(next) => setInputText([...next, ...trailingBlankLines].join('\n'))}
+                      onConfigChange={updateConfig}
+                    />
+
                     <div>
                       <label className="text-sm font-medium text-gray-300 mb-3 block">Prompt Presets</label>
                       <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-2">
@@ -610,6 +734,131 @@ export default function App() {
                           onChange={(e) => updateConfig('typingSpeed', Number(e.target.value))}
                           className="w-full accent-green-500"
                         />
+                        <div className="flex space-x-2 mt-2">
+                          {[
+                            { value: 'steady', name: 'Steady' },
+                            { value: 'human', name: 'Human' },
+                          ].map((rhythm) => (
+                            <button
+                              key={rhythm.value}
+                              onClick={() => updateConfig('typingRhythm', rhythm.value)}
+                              className={`flex-1 py-1.5 rounded-lg text-xs font-medium transition-all duration-300 ${
+                                config.typingRhythm === rhythm.value
+                                  ? 'bg-green-500/20 text-green-300 border border-green-500/50'
+                                  : 'bg-white/5 text-gray-400 hover:bg-white/10 border border-white/10'
+                              }`}
+                            >
+                              {rhythm.name}
+                            </button>
+                          ))}
+                        </div>
+                        {config.typingRhythm === 'human' && (
+                          <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+                            <span>Seed (same seed = same rhythm in every export)</span>
+                            <input
+                              type="number"
+                              min={1}
+                              value={config.rhythmSeed}
+                              onChange={(e) => updateConfig('rhythmSeed', Math.max(1, Number(e.target.value) || 1))}
+                              className="w-20 bg-black/40 border border-white/10 rounded-lg px-2 py-1 text-xs font-mono text-gray-200 focus:outline-none focus:border-green-500/50"
+                            />
+                          </div>
+                        )}
+                      </div>
+
+                      <div>
+                        <div className="flex justify-between text-sm mb-3">
+                          <span className="text-gray-300">Auto Typos</span>
+                          <span className="px-2 py-0.5 rounded-lg bg-pink-500/10 text-pink-400 font-mono text-xs">
+                            {config.typoRate > 0 ? `${Math.round(config.typoRate * 100)}%` : 'Off'}
+                          </span>
+                        </div>
+                        <input
+                          type="range"
+                          min={0}
+                          max={15}
+                          value={Math.round(config.typoRate * 100)}
+                          onChange={(e) => updateConfig('typoRate', Number(e.target.value) / 100)}
+                          className="w-full accent-pink-500"
+                        />
+                        {config.typoRate > 0 && (
+                          <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+                            <span>Seed (same seed = same typos in every export)</span>
+                            <input
+                              type="number"
+                              min={1}
+                              value={config.typoSeed}
+                              onChange={(e) => updateConfig('typoSeed', Math.max(1, Number(e.target.value) || 1))}
+                              className="w-20 bg-black/40 border border-white/10 rounded-lg px-2 py-1 text-xs font-mono text-gray-200 focus:outline-none focus:border-pink-500/50"
+                            />
+                          </div>
+                        )}
+                      </div>
+
+                      <div>
+                        <div className="flex justify-between text-sm mb-3">
+                          <span className="text-gray-300">Playback</span>
+                          <span className="px-2 py-0.5 rounded-lg bg-violet-500/10 text-violet-400 font-mono text-xs">
+                            {config.loopCount > 0 ? `${config.loopCount}x` : 'Loop'}
+                          </span>
+                        </div>
+                        <div className="flex space-x-2">
+                          {[
+                            { value: 0, name: 'Forever' },
+                            { value: 1, name: 'Once' },
+                            { value: 2, name: '2 Times' },
+                            { value: 3, name: '3 Times' },
+                          ].map((loop) => (
+                            <button
+                              key={loop.value}
+                              onClick={() => updateConfig('loopCount', loop.value)}
+                              className={`flex-1 py-1.5 rounded-lg text-xs font-medium transition-all duration-300 ${
+                                config.loopCount === loop.value
+                                  ? 'bg-violet-500/20 text-violet-300 border border-violet-500/50'
+                                  : 'bg-white/5 text-gray-400 hover:bg-white/10 border border-white/10'
+                              }`}
+                            >
+                              {loop.name}
+                            </button>
+                          ))}
+                        </div>
+                        <div className="flex space-x-2 mt-2">
+                          {[
+                            { value: 'hold', name: 'Hold' },
+                            { value: 'fade', name: 'Fade Out' },
+                            { value: 'erase', name: 'Erase' },
+                          ].map((ending) => (
+                            <button
+                              key={ending.value}
+                              onClick={() => updateConfig('ending', ending.value)}
+                              className={`flex-1 py-1.5 rounded-lg text-xs font-medium transition-all duration-300 ${
+                                config.ending === ending.value
+                                  ? 'bg-violet-500/20 text-violet-300 border border-violet-500/50'
+                                  : 'bg-white/5 text-gray-400 hover:bg-white/10 border border-white/10'
+                              }`}
+                            >
+                              {ending.name}
+                            </button>
+                          ))}
+                        </div>
+                        {[
+                          { key: 'startHold', label: 'First frame', max: 3000 },
+                          { key: 'endHold', label: 'Last frame', max: 5000 },
+                        ].map((hold) => (
+                          <div key={hold.key} className="flex items-center space-x-3 mt-2 text-xs text-gray-500">
+                            <span className="w-20">{hold.label}</span>
+                            <input
+                              type="range"
+                              min={0}
+                              max={hold.max}
+                              step={100}
+                              value={config[hold.key]}
+                              onChange={(e) => updateConfig(hold.key, Number(e.target.value))}
+                              className="flex-1 accent-violet-500"
+                            />
+                            <span className="w-12 text-right font-mono text-gray-400">{(config[hold.key] / 1000).toFixed(1)}s</span>
+                          </div>
+                        ))}
                       </div>
 
                       <div>
@@ -627,6 +876,76 @@ export default function App() {
                         />
                       </div>
 
+                      <div>
+                        <div className="flex justify-between text-sm mb-3">
+                          <span className="text-gray-300">Terminal Rows</span>
+                          <span className="px-2 py-0.5 rounded-lg bg-cyan-500/10 text-cyan-400 font-mono text-xs">
+                            {config.terminalRows > 0 ? `${config.terminalRows} rows` : 'Auto'}
+                          </span>
+                        </div>
+                        <input
+                          type="range"
+                          min={0}
+                          max={60}
+                          value={config.terminalRows}
+                          onChange={(e) => updateConfig('terminalRows', Number(e.target.value))}
+                          className="w-full accent-cyan-500"
+                        />
+                        {config.terminalRows > 0 && (
+                          <div className="flex space-x-2 mt-2">
+                            {[
+                              { value: 'step', name: 'Line Step' },
+                              { value: 'smooth', name: 'Smooth Scroll' },
+                            ].map((mode) => (
+                              <button
+                                key={mode.value}
+                                onClick={() => updateConfig('scrollMode', mode.value)}
+                                className={`flex-1 py-1.5 rounded-lg text-xs font-medium transition-all duration-300 ${
+                                  config.scrollMode === mode.value
+                                    ? 'bg-cyan-500/20 text-cyan-300 border border-cyan-500/50'
+                                    : 'bg-white/5 text-gray-400 hover:bg-white/10 border border-white/10'
+                                }`}
+                              >
+                                {mode.name}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+
+                      <div>
+                        <div className="flex justify-between text-sm mb-3">
+                          <span className="text-gray-300">Columns</span>
+                          <span className="px-2 py-0.5 rounded-lg bg-cyan-500/10 text-cyan-400 font-mono text-xs">
+                            {config.columns > 0 ? `${config.columns} cols` : 'No Wrap'}
+                          </span>
+                        </div>
+                        <input
+                          type="range"
+                          min={0}
+                          max={200}
+                          step={10}
+                          value={config.columns}
+                          onChange={(e) => updateConfig('columns', Number(e.target.value))}
+                          className="w-full accent-cyan-500"
+                        />
+                        <div className="flex space-x-2 mt-2">
+                          {[2, 4, 8].map((size) => (
+                            <button
+                              key={size}
+                              onClick={() => updateConfig('tabSize', size)}
+                              className={`flex-1 py-1.5 rounded-lg text-xs font-medium transition-all duration-300 ${
+                                config.tabSize === size
+                                  ? 'bg-cyan-500/20 text-cyan-300 border border-cyan-500/50'
+                                  : 'bg-white/5 text-gray-400 hover:bg-white/10 border border-white/10'
+                              }`}
+                            >
+                              Tab {size}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+
                       <div>
                         <label className="text-sm text-gray-300 mb-3 block">Font Family</label>
                         <select
@@ -667,7 +986,10 @@ export default function App() {
                         { key: 'glowEffect', label: 'Text Glow', icon: '✨', color: 'yellow' },
                         { key: 'scanlineEffect', label: 'Scanlines', icon: '📺', color: 'purple' },
                         { key: 'crtEffect', label: 'CRT Flicker', icon: '💫', color: 'pink' },
+                        { key: 'typingSounds', label: 'Typing Sounds', icon: '⌨️', color: 'cyan' },
+                        { key: 'crtHum', label: 'CRT Hum (CRT themes)', icon: '🔊', color: 'purple' },
                         { key: 'cursorBlink', label: 'Cursor Blink', icon: '⎸', color: 'green' },
+                        { key: 'autoClear', label: 'Typed `clear` Clears Screen', icon: '🧹', color: 'cyan' },
                         { key: 'showTitle', label: 'Title Bar', icon: '🪟', color: 'blue' },
                         { key: 'showWindowControls', label: 'Window Buttons', icon: '🔴', color: 'red' },
                       ].map((item) => (
@@ -700,6 +1022,50 @@ export default function App() {
                         </label>
                       ))}
                     </div>
+
+                    <div>
+                      <div className="flex justify-between text-sm mb-3">
+                        <span className="text-gray-300">Background Image</span>
+                        {config.backgroundImage && (
+                          <button
+                            onClick={() => updateConfig('backgroundImage', null)}
+                            className="text-xs text-gray-400 hover:text-red-400 transition-colors"
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                      <input
+                        type="file"
+                        accept="image/*"
+                        onChange={(e) => {
+                          const file = e.target.files?.[0];
+                          if (!file) return;
+                          const reader = new FileReader();
+                          reader.onload = () => updateConfig('backgroundImage', reader.result);
+                          reader.readAsDataURL(file);
+                          e.target.value = '';
+                        }}
+                        className="w-full text-xs text-gray-400 file:mr-3 file:py-1.5 file:px-3 file:rounded-lg file:border-0 file:bg-white/10 file:text-gray-200 hover:file:bg-white/20"
+                      />
+                      {config.backgroundImage && (
+                        <div className="mt-3">
+                          <div className="flex justify-between text-xs mb-2">
+                            <span className="text-gray-400">Image Opacity</span>
+                            <span className="text-cyan-400 font-mono">{Math.round(config.backgroundOpacity * 100)}%</span>
+                          </div>
+                          <input
+                            type="range"
+                            min={0}
+                            max={1}
+                            step={0.05}
+                            value={config.backgroundOpacity}
+                            onChange={(e) => updateConfig('backgroundOpacity', Number(e.target.value))}
+                            className="w-full accent-cyan-500"
+                          />
+                        </div>
+                      )}
+                    </div>
                   </div>
                 )}
 
@@ -739,19 +1105,149 @@ export default function App() {
                       </div>
                     </div>
 
-                    <div className="grid sm:grid-cols-3 gap-4">
-                      <button
-                        onClick={exportAsGIF}
-                        disabled={isExporting || !inputText.trim()}
-                        className="group relative flex flex-col items-center justify-center p-8 rounded-2xl overflow-hidden disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 hover:scale-105"
-                      >
+                    <div className="grid sm:grid-cols-2 gap-4">
+                      <div className="relative flex flex-col items-center justify-center p-8 rounded-2xl overflow-hidden">
                         <div className="absolute inset-0 bg-gradient-to-br from-purple-600 via-pink-600 to-purple-600 opacity-90" />
-                        <div className="absolute inset-0 bg-gradient-to-br from-purple-500 via-pink-500 to-purple-500 opacity-0 group-hover:opacity-100 transition-opacity" />
-                        <div className="absolute inset-0 bg-[url('data:image/svg+xml,...')] opacity-10" />
                         <Film size={36} className="relative z-10 mb-3" />
-                        <span className="relative z-10 font-bold text-lg">Export GIF</span>
-                        <span className="relative z-10 text-xs opacity-70 mt-1">Animated recording</span>
-                      </button>
+                        <span className="relative z-10 font-bold text-lg">Export {imageFormats[imageSettings.format].label}</span>
+                        <span className="relative z-10 text-xs opacity-70 mt-1">
+                          {imageSettings.format === 'gif' ? 'Animated recording' : 'Full color, lossless'}
+                        </span>
+                        <div className="relative z-10 flex flex-wrap justify-center gap-2 mt-3">
+                          <div className="flex rounded-lg bg-black/20 p-0.5">
+                            {Object.entries(imageFormats).map(([key, format]) => (
+                              <button
+                                key={key}
+                                onClick={() => setImageSettings({ ...imageSettings, format: key })}
+                                className={`px-2 py-1 rounded-md text-xs font-medium transition-colors ${
+                                  imageSettings.format === key ? 'bg-white/20' : 'opacity-70 hover:opacity-100'
+                                }`}
+                              >
+                                {format.label}
+                              </button>
+                            ))}
+                          </div>
+                          <select
+                            value={imageSettings.fps}
+                            onChange={(e) => setImageSettings({ ...imageSettings, fps: parseInt(e.target.value) })}
+                            className="px-2 py-1.5 rounded-lg bg-black/20 text-xs font-medium focus:outline-none"
+                          >
+                            {[10, 15, 20, 30, 50].map((fps) => (
+                              <option key={fps} value={fps} className="bg-gray-900">{fps} fps</option>
+                            ))}
+                          </select>
+                          {imageSettings.format === 'gif' && (
+                            <label className="flex items-center space-x-1.5 px-2 py-1.5 rounded-lg bg-black/20 text-xs font-medium cursor-pointer">
+                              <input
+                                type="checkbox"
+                                checked={imageSettings.optimize}
+                                onChange={(e) => setImageSettings({ ...imageSettings, optimize: e.target.checked })}
+                                className="accent-pink-400"
+                              />
+                              <span>Optimize</span>
+                            </label>
+                          )}
+                          {imageSettings.format === 'gif' && (
+                            <label className="flex items-center space-x-1.5 px-2 py-1.5 rounded-lg bg-black/20 text-xs font-medium cursor-pointer">
+                              <input
+                                type="checkbox"
+                                checked={imageSettings.dither}
+                                onChange={(e) => setImageSettings({ ...imageSettings, dither: e.target.checked })}
+                                className="accent-pink-400"
+                              />
+                              <span>Dither</span>
+                            </label>
+                          )}
+                          <select
+                            value={imageSettings.maxSize}
+                            onChange={(e) => setImageSettings({ ...imageSettings, maxSize: parseInt(e.target.value) })}
+                            className="px-2 py-1.5 rounded-lg bg-black/20 text-xs font-medium focus:outline-none"
+                          >
+                            {sizeLimits.map((limit) => (
+                              <option key={limit.bytes} value={limit.bytes} className="bg-gray-900">{limit.label}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => (inspection ? setInspection(null) : inspectFrames())}
+                            disabled={isExporting || !inputText.trim()}
+                            title="Review and edit the frames before exporting"
+                            className={`flex items-center space-x-1.5 px-3 py-1.5 rounded-lg text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                              inspection ? 'bg-white/20' : 'bg-black/20 hover:bg-black/30'
+                            }`}
+                          >
+                            <GalleryHorizontal size={14} />
+                            <span>Frames</span>
+                          </button>
+                          <button
+                            onClick={exportAsAnimation}
+                            disabled={isExporting || !inputText.trim()}
+                            className="flex items-center space-x-1.5 px-3 py-1.5 rounded-lg bg-black/20 hover:bg-black/30 text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            <Download size={14} />
+                            <span>Export</span>
+                          </button>
+                        </div>
+                        {gifStats && imageSettings.format === 'gif' && (
+                          <span className="relative z-10 text-xs opacity-80 mt-3 text-center">
+                            {formatBytes(gifStats.bytes)}
+                            {gifStats.estimatedFullBytes && gifStats.estimatedFullBytes > gifStats.bytes && (
+                              <> · ~{Math.round((1 - gifStats.bytes / gifStats.estimatedFullBytes) * 100)}% smaller than full frames</>
+                            )}
+                            {gifStats.writtenFrames < gifStats.frames && (
+                              <> · {gifStats.frames - gifStats.writtenFrames} identical frames merged</>
+                            )}
+                          </span>
+                        )}
+                        {budgetReport && budgetReport.format === imageSettings.format && (
+                          <span className={`relative z-10 text-xs mt-2 text-center ${budgetReport.fits ? 'opacity-80' : 'text-yellow-200'}`}>
+                            {budgetReport.fits
+                              ? `Fits ${formatBytes(budgetReport.maxBytes)} at ${formatBytes(budgetReport.bytes)}`
+                              : `Couldn't get under ${formatBytes(budgetReport.maxBytes)}; smallest was ${formatBytes(budgetReport.bytes)}`}
+                            {budgetReport.changes.length > 0 && (
+                              <> · {budgetReport.changes.map(({ knob, from, to }) => budgetKnobLabels[knob](from, to)).join(', ')}</>
+                            )}
+                          </span>
+                        )}
+                      </div>
+
+                      <div className="relative flex flex-col items-center justify-center p-8 rounded-2xl overflow-hidden">
+                        <div className="absolute inset-0 bg-gradient-to-br from-emerald-600 via-teal-600 to-emerald-600 opacity-90" />
+                        <FileCode size={36} className="relative z-10 mb-3" />
+                        <span className="relative z-10 font-bold text-lg">Animated SVG</span>
+                        <span className="relative z-10 text-xs opacity-70 mt-1">Tiny, crisp, loops in READMEs</span>
+                        <div className="relative z-10 flex space-x-2 mt-3">
+                          <button
+                            onClick={exportAsAnimatedSVG}
+                            disabled={isExporting || !inputText.trim()}
+                            className="flex items-center space-x-1.5 px-3 py-1.5 rounded-lg bg-black/20 hover:bg-black/30 text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            <Download size={14} />
+                            <span>Download</span>
+                          </button>
+                          <button
+                            onClick={copyAnimatedSVG}
+                            disabled={isExporting || !inputText.trim()}
+                            className="flex items-center space-x-1.5 px-3 py-1.5 rounded-lg bg-black/20 hover:bg-black/30 text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            {copiedAnimated ? <Check size={14} /> : <Copy size={14} />}
+                            <span>{copiedAnimated ? 'Copied!' : 'Copy'}</span>
+                          </button>
+                        </div>
+                      </div>
+
+                      {inspection && (
+                        <div className="sm:col-span-2">
+                          <FrameInspector
+                            job={inspection.job}
+                            frames={inspection.frames}
+                            format={imageSettings.format}
+                            encodeOptions={{ loop: plays.loop, optimize: imageSettings.optimize, dither: imageSettings.dither }}
+                            onFramesChange={(frames) => setInspection({ ...inspection, frames })}
+                            onReset={inspectFrames}
+                            onClose={() => setInspection(null)}
+                          />
+                        </div>
+                      )}
 
                       <button
                         onClick={exportAsPNG}
@@ -774,8 +1270,56 @@ export default function App() {
                         <div className="absolute inset-0 bg-gradient-to-br from-orange-500 via-amber-500 to-orange-500 opacity-0 group-hover:opacity-100 transition-opacity" />
                         {copied ? <Check size={36} className="relative z-10 mb-3" /> : <Copy size={36} className="relative z-10 mb-3" />}
                         <span className="relative z-10 font-bold text-lg">{copied ? 'Copied!' : 'Copy SVG'}</span>
-                        <span className="relative z-10 text-xs opacity-70 mt-1">To clipboard</span>
+                        <span className="relative z-10 text-xs opacity-70 mt-1">Vector, to clipboard</span>
                       </button>
+
+                      <div className="sm:col-span-2 relative flex flex-col sm:flex-row items-center justify-between gap-4 p-6 rounded-2xl overflow-hidden">
+                        <div className="absolute inset-0 bg-gradient-to-br from-rose-600 via-red-600 to-rose-600 opacity-90" />
+                        <div className="relative z-10 flex items-center space-x-3">
+                          <Video size={36} />
+                          <div>
+                            <div className="font-bold text-lg">Export Video</div>
+                            <div className="text-xs opacity-70">MP4 or WebM for LinkedIn, YouTube and slides</div>
+                          </div>
+                        </div>
+                        <div className="relative z-10 flex flex-wrap items-center gap-2">
+                          <select
+                            value={videoSettings.format}
+                            onChange={(e) => setVideoSettings({ ...videoSettings, format: e.target.value })}
+                            className="px-2 py-1.5 rounded-lg bg-black/20 text-xs font-medium focus:outline-none"
+                          >
+                            {Object.entries(videoFormats).map(([key, format]) => (
+                              <option key={key} value={key} className="bg-gray-900">{format.label}</option>
+                            ))}
+                          </select>
+                          <select
+                            value={videoSettings.fps}
+                            onChange={(e) => setVideoSettings({ ...videoSettings, fps: parseInt(e.target.value) })}
+                            className="px-2 py-1.5 rounded-lg bg-black/20 text-xs font-medium focus:outline-none"
+                          >
+                            {[24, 30, 60].map((fps) => (
+                              <option key={fps} value={fps} className="bg-gray-900">{fps} fps</option>
+                            ))}
+                          </select>
+                          <select
+                            value={videoSettings.bitrate}
+                            onChange={(e) => setVideoSettings({ ...videoSettings, bitrate: parseInt(e.target.value) })}
+                            className="px-2 py-1.5 rounded-lg bg-black/20 text-xs font-medium focus:outline-none"
+                          >
+                            {[2000000, 5000000, 10000000].map((bitrate) => (
+                              <option key={bitrate} value={bitrate} className="bg-gray-900">{bitrate / 1000000} Mbps</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={exportAsVideo}
+                            disabled={isExporting || !inputText.trim()}
+                            className="flex items-center space-x-1.5 px-3 py-1.5 rounded-lg bg-black/20 hover:bg-black/30 text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            <Download size={14} />
+                            <span>Export</span>
+                          </button>
+                        </div>
+                      </div>
                     </div>
 
                     <div className="p-5 rounded-2xl bg-gradient-to-r from-gray-800/30 to-gray-900/30 border border-white/5">
@@ -790,16 +1334,28 @@ export default function App() {
                         </li>
                         <li className="flex items-start space-x-2">
                           <span className="text-cyan-400">•</span>
-                          <span><strong className="text-gray-300">Resolution</strong> — Select a preset to match your target platform</span>
+                          <span><strong className="text-gray-300">Resolution</strong> — Select a preset to match your target platform. For long output, set Terminal Rows in the Style tab so it scrolls instead of shrinking the font</span>
                         </li>
                         <li className="flex items-start space-x-2">
                           <span className="text-purple-400">•</span>
                           <span><strong className="text-gray-300">GIF</strong> — Perfect for Twitter, GitHub READMEs, and Discord</span>
                         </li>
+                        <li className="flex items-start space-x-2">
+                          <span className="text-pink-400">•</span>
+                          <span><strong className="text-gray-300">APNG &amp; WebP</strong> — Full color without GIF's 256-color banding; pick them for gradient and glow themes like Synthwave</span>
+                        </li>
+                        <li className="flex items-start space-x-2">
+                          <span className="text-emerald-400">•</span>
+                          <span><strong className="text-gray-300">Animated SVG</strong> — A fraction of the GIF's size and sharp at any zoom; ideal for GitHub READMEs</span>
+                        </li>
                         <li className="flex items-start space-x-2">
                           <span className="text-blue-400">•</span>
                           <span><strong className="text-gray-300">PNG</strong> — Best for documentation, blogs, and presentations</span>
                         </li>
+                        <li className="flex items-start space-x-2">
+                          <span className="text-rose-400">•</span>
+                          <span><strong className="text-gray-300">Video</strong> — MP4 uploads natively to LinkedIn and YouTube; encoding runs entirely in your browser</span>
+                        </li>
                       </ul>
                     </div>
                   </div>
@@ -0,0 +1,200 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Copy, Trash2, RotateCcw, X } from 'lucide-react';
+import { createFrameSource } from '../utils/canvasRenderer';
+import { estimateExportSize, formatBytes } from '../utils/sizeBudget';
+import { supportsExportWorkers, createWorkerPool, encodeInPool } from '../utils/workerPool';
+
+// Thumbnails are drawn at a quarter of the export's 2x scale
+const THUMB_SCALE = 0.5;
+
+// Shortest delay browsers honour in an animated image
+const MIN_DELAY = 20;
+
+// Filmstrip of the frames an animated image export is about to encode (see generateFrameStates),
+// with their delays, the total duration and an estimated file size. Frames can be deleted,
+// duplicated and retimed; the GIF, APNG or WebP export then encodes the edited list as it is.
+// Video samples the timeline at its own frame rate and leaves these frames alone.
+// `job` is what the frames were generated from: { parsedLines, config, theme, frameOptions },
+// and every frame carries an `id` unique within the list.
+const FrameInspector = ({ job, frames, format, encodeOptions, onFramesChange, onReset, onClose }) => {
+  const { parsedLines, config, theme, frameOptions } = job;
+  const { loop, optimize, dither } = encodeOptions;
+
+  // Thumbnail data URLs by frame state; a duplicated frame shares its original's state
+  const thumbsRef = useRef(new WeakMap());
+  const [, setThumbsDrawn] = useState(0);
+  const [estimate, setEstimate] = useState(null);
+
+  useEffect(() => {
+    const thumbs = thumbsRef.current;
+    const pending = [...new Set(frames.map(frame => frame.state))].filter(state => !thumbs.has(state));
+    if (pending.length === 0) return;
+
+    let cancelled = false;
+    const source = createFrameSource(parsedLines, config, theme, {
+      ...frameOptions,
+      scale: THUMB_SCALE,
+      frames: pending.map(state => ({ state, delay: 0 })),
+    });
+
+    (async () => {
+      for (let i = 0; i < pending.length && !cancelled; i++) {
+        thumbs.set(pending[i], source.renderFrame(i).toDataURL('image/png'));
+        // Show them a batch at a time and give the page a turn in between
+        if (i % 8 === 7 || i === pending.length - 1) {
+          setThumbsDrawn(count => count + 1);
+          await new Promise(resolve => setTimeout(resolve));
+        }
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [frames, parsedLines, config, theme, frameOptions]);
+
+  // One worker pool, like the exports use, encodes the estimates for as long as the panel is
+  // open, so editing stays smooth. Estimates run one at a time; one that was superseded before
+  // it got its turn is skipped.
+  const poolRef = useRef(null);
+  const estimatingRef = useRef(Promise.resolve());
+  useEffect(() => {
+    const pool = supportsExportWorkers() ? createWorkerPool() : null;
+    poolRef.current = pool;
+    return () => {
+      if (pool) pool.terminate();
+    };
+  }, []);
+
+  // Delays hardly change the size, so only frames coming, going or being swapped re-estimate
+  const framesRef = useRef(frames);
+  framesRef.current = frames;
+  const statesRef = useRef([]);
+  const states = frames.map(frame => frame.state);
+  if (states.length !== statesRef.current.length || states.some((state, i) => state !== statesRef.current[i])) {
+    statesRef.current = states;
+  }
+  const estimatedStates = statesRef.current;
+
+  // Re-estimate once edits settle
+  useEffect(() => {
+    const controller = new AbortController();
+    setEstimate(null);
+    const timer = setTimeout(() => {
+      estimatingRef.current = estimatingRef.current.then(() => {
+        if (controller.signal.aborted) return;
+        const pool = poolRef.current;
+        return estimateExportSize(parsedLines, config, theme, {
+          format,
+          frameOptions: { ...frameOptions, frames: framesRef.current },
+          encodeOptions: { loop, optimize, dither },
+          signal: controller.signal,
+          ...(pool && {
+            encodeFrames: (renderOptions, options) => encodeInPool(
+              pool,
+              format,
+              { parsedLines, config, theme, frameOptions: renderOptions },
+              options,
+            ),
+          }),
+        }).then((size) => {
+          if (!controller.signal.aborted) setEstimate(size);
+        });
+      }).catch(() => {});
+    }, 400);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [estimatedStates, parsedLines, config, theme, frameOptions, format, loop, optimize, dither]);
+
+  const duration = frames.reduce((total, frame) => total + frame.delay, 0);
+
+  const setDelay = (index, delay) => {
+    onFramesChange(frames.map((frame, i) => (i === index ? { ...frame, delay } : frame)));
+  };
+  const duplicate = (index) => {
+    const id = Math.max(...frames.map(frame => frame.id)) + 1;
+    onFramesChange([...frames.slice(0, index + 1), { ...frames[index], id }, ...frames.slice(index + 1)]);
+  };
+  const remove = (index) => {
+    onFramesChange(frames.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="p-5 rounded-2xl bg-white/5 border border-white/10">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <div className="text-sm font-medium text-gray-300">Frames</div>
+          <div className="text-xs text-gray-500 mt-0.5">
+            {frames.length} frames · {(duration / 1000).toFixed(2)}s · {estimate ? `~${formatBytes(estimate)}` : 'estimating size...'}
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onReset}
+            title="Regenerate the frames from the script"
+            className="flex items-center space-x-1.5 px-3 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-xs font-medium text-gray-300 transition-colors"
+          >
+            <RotateCcw size={14} />
+            <span>Reset</span>
+          </button>
+          <button
+            onClick={onClose}
+            title="Discard the edits and export straight from the script"
+            className="p-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-gray-300 transition-colors"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex space-x-3 overflow-x-auto pb-2">
+        {frames.map((frame, i) => {
+          const thumb = thumbsRef.current.get(frame.state);
+          return (
+            <div key={frame.id} className="flex-shrink-0 w-40 rounded-xl bg-black/40 border border-white/10 overflow-hidden">
+              <div className="h-24 flex items-center justify-center bg-black/40">
+                {thumb
+                  ? <img src={thumb} alt={`Frame ${i + 1}`} className="max-w-full max-h-full" />
+                  : <span className="text-[10px] text-gray-600">Rendering...</span>}
+              </div>
+              <div className="flex items-center justify-between px-2 py-1.5">
+                <span className="text-[10px] font-mono text-gray-500">#{i + 1}</span>
+                <label className="flex items-center space-x-1 text-[10px] text-gray-500">
+                  <input
+                    type="number"
+                    min={MIN_DELAY}
+                    step={10}
+                    value={frame.delay}
+                    onChange={(e) => setDelay(i, Math.max(0, Number(e.target.value) || 0))}
+                    onBlur={() => frame.delay < MIN_DELAY && setDelay(i, MIN_DELAY)}
+                    className="w-14 px-1 py-0.5 rounded bg-white/5 border border-white/10 font-mono text-gray-300 focus:outline-none focus:border-green-500/50"
+                  />
+                  <span>ms</span>
+                </label>
+                <div className="flex">
+                  <button
+                    onClick={() => duplicate(i)}
+                    title="Duplicate frame"
+                    className="p-1 rounded text-gray-500 hover:text-gray-200 transition-colors"
+                  >
+                    <Copy size={12} />
+                  </button>
+                  <button
+                    onClick={() => remove(i)}
+                    disabled={frames.length === 1}
+                    title="Delete frame"
+                    className="p-1 rounded text-gray-500 hover:text-red-400 transition-colors disabled:opacity-30 disabled:hover:text-gray-500"
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default FrameInspector;
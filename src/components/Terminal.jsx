@@ -1,7 +1,12 @@
-import React, { forwardRef, useEffect, useMemo } from 'react';
+import React, { forwardRef, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { Play, Pause, StepBack, StepForward, Volume2, VolumeX } from 'lucide-react';
 import { useMultiLineTyping } from '../hooks/useTypingAnimation';
+import { useTypingSounds } from '../hooks/useTypingSounds';
 import { themes } from '../utils/themes';
-import { parseLines } from '../utils/canvasRenderer';
+import { parseLines, screenAt, maxScreenRows } from '../utils/canvasRenderer';
+import { sliceSegments, resolveSegmentStyle } from '../utils/ansi';
+import { layoutLine, getLayoutOptions, promptOnlyLine } from '../utils/layout';
+import { buildTimeline } from '../utils/timeline';
 
 const Cursor = ({ style, color, blink }) => {
   const cursorClass = blink ? 'animate-blink' : '';
@@ -51,6 +56,57 @@ const Cursor = ({ style, color, blink }) => {
   );
 };
 
+// Render a laid out run (prompt or styled text) as a span on the character grid
+const Run = ({ run, theme, defaultColor }) => {
+  const style = resolveSegmentStyle(run.style, theme, run.kind === 'prompt' ? theme.prompt : defaultColor);
+  return (
+    <span
+      style={{
+        color: style.color,
+        backgroundColor: style.background || undefined,
+        fontWeight: style.fontWeight,
+        fontStyle: style.fontStyle,
+        textDecoration: style.underline ? 'underline' : undefined,
+        opacity: style.opacity,
+        // Double-width glyphs get exactly two cells, whatever the fallback font's advance
+        ...(run.wide ? { display: 'inline-block', width: '2ch', textAlign: 'center' } : {}),
+      }}
+    >
+      {run.text}
+    </span>
+  );
+};
+
+const TransportButton = ({ title, onClick, children }) => (
+  <button
+    type="button"
+    title={title}
+    onClick={onClick}
+    className="p-1.5 rounded-lg bg-white/5 hover:bg-white/15 transition-colors"
+  >
+    {children}
+  </button>
+);
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Render one line through the shared layout: one div per row, cursor after the last cell
+const LineRows = ({ line, layoutOptions, theme, rowHeight, cursor = null }) => {
+  const layout = layoutLine(line, layoutOptions);
+  const defaultColor = line.showPrompt ? theme.foreground : theme.comment;
+
+  return layout.rows.map((row, rowIdx) => (
+    <div key={rowIdx} className="whitespace-pre" style={{ height: `${rowHeight}px` }}>
+      {row.map((run, i) => (
+        <Run key={i} run={run} theme={theme} defaultColor={defaultColor} />
+      ))}
+      {rowIdx === layout.cursor.row && cursor}
+    </div>
+  ));
+};
+
 const Terminal = forwardRef(({
   config,
   lines: rawLines,
@@ -63,24 +119,69 @@ const Terminal = forwardRef(({
   const theme = themes[config.theme] || themes.hacker;
 
   // Parse lines to determine which have prompts
-  const parsedLineInfo = useMemo(() => parseLines(rawLines, config.promptText), [rawLines, config.promptText]);
+  const parsedLineInfo = useMemo(
+    () => parseLines(rawLines, config.promptText, {
+      typoRate: config.typoRate,
+      typoSeed: config.typoSeed,
+      autoClear: config.autoClear,
+    }),
+    [rawLines, config.promptText, config.typoRate, config.typoSeed, config.autoClear]
+  );
   const lineTexts = useMemo(() => parsedLineInfo.map(l => l.text), [parsedLineInfo]);
 
-  const { displayedLines, isComplete, reset, progress, currentLineIndex, skipToEnd } = useMultiLineTyping(
-    lineTexts,
-    config.typingSpeed,
-    300,
-    isAnimating && !showComplete && !forcedDisplayState,
-    {
+  // Same timeline the exports are sampled from, so the preview runs at the export's pace
+  const timeline = useMemo(
+    () => buildTimeline(parsedLineInfo, {
+      typingSpeed: config.typingSpeed,
+      typingRhythm: config.typingRhythm,
+      rhythmSeed: config.rhythmSeed,
       outputMode: config.outputMode || 'typing',
-      lineInfo: parsedLineInfo,
-    }
+      lineDelay: config.lineDelay,
+      startHold: config.startHold,
+      endHold: config.endHold,
+      ending: config.ending,
+    }),
+    [parsedLineInfo, config.typingSpeed, config.typingRhythm, config.rhythmSeed, config.outputMode, config.lineDelay, config.startHold, config.endHold, config.ending]
+  );
+
+  const {
+    displayedLines,
+    isComplete,
+    reset,
+    currentLineIndex,
+    skipToEnd,
+    fade,
+    playing,
+    time,
+    duration,
+    play,
+    pause,
+    seek,
+    step,
+  } = useMultiLineTyping(
+    parsedLineInfo,
+    timeline,
+    isAnimating && !showComplete && !forcedDisplayState,
+    { loopCount: config.loopCount }
   );
 
+  // Keyboard sounds start muted; the toggle sits in the transport bar
+  const [muted, setMuted] = useState(true);
+  const hum = Boolean(config.crtHum && theme.crt);
+  const hasSound = config.typingSounds || hum;
+  useTypingSounds(parsedLineInfo, timeline, {
+    time,
+    playing,
+    muted: muted || !hasSound,
+    clicks: config.typingSounds,
+    hum,
+  });
+
   // Display priority: forcedDisplayState > showComplete > animation hook
   let effectiveDisplayedLines;
   let effectiveIsComplete;
   let effectiveCurrentLineIndex;
+  let effectiveFade = 1;
 
   if (forcedDisplayState) {
     effectiveDisplayedLines = forcedDisplayState.lines;
@@ -94,8 +195,35 @@ const Terminal = forwardRef(({
     effectiveDisplayedLines = displayedLines;
     effectiveIsComplete = isComplete;
     effectiveCurrentLineIndex = currentLineIndex;
+    effectiveFade = fade;
   }
 
+  // Only the current screen is shown: #clear (or a typed `clear`) wipes what came before
+  const currentScreen = screenAt(
+    parsedLineInfo,
+    effectiveIsComplete ? parsedLineInfo.length : effectiveCurrentLineIndex
+  );
+  const hasClears = parsedLineInfo.some(l => l.clearAfter);
+
+  // Fixed-rows mode: the viewport keeps its height and older rows scroll off the top
+  const fixedRows = config.terminalRows > 0 ? config.terminalRows : 0;
+  const rowHeight = config.fontSize * config.lineHeight;
+  const layoutOptions = useMemo(() => getLayoutOptions(config), [config]);
+  const linesRef = useRef(null);
+  const [scrollOffset, setScrollOffset] = useState(0);
+
+  useLayoutEffect(() => {
+    let next = 0;
+    if (fixedRows && linesRef.current) {
+      // Measure rendered rows so wrapped lines count too; scroll in whole rows
+      const overflow = linesRef.current.offsetHeight - fixedRows * rowHeight;
+      next = Math.max(0, Math.ceil(overflow / rowHeight - 0.01)) * rowHeight;
+    }
+    if (next !== scrollOffset) {
+      setScrollOffset(next);
+    }
+  });
+
   useEffect(() => {
     if (isComplete && onAnimationComplete) {
       onAnimationComplete();
@@ -132,6 +260,14 @@ const Terminal = forwardRef(({
     position: 'relative',
   };
 
+  // Size the window for the tallest screen so clearing doesn't make it jump
+  if (fixedRows) {
+    contentStyle.minHeight = 0;
+  } else if (hasClears) {
+    const rows = maxScreenRows(parsedLineInfo, config);
+    contentStyle.minHeight = `max(200px, ${rows * config.fontSize * config.lineHeight + config.padding * 2 + 20}px)`;
+  }
+
   if (config.backgroundImage) {
     contentStyle.backgroundImage = `url(${config.backgroundImage})`;
     contentStyle.backgroundSize = 'cover';
@@ -211,64 +347,114 @@ const Terminal = forwardRef(({
           )}
 
           {/* Lines */}
-          <div className={`relative z-10 ${glowClass}`}>
-            {effectiveDisplayedLines.map((line, index) => {
-              const lineInfo = parsedLineInfo[index];
-              const showPrompt = lineInfo?.showPrompt;
-              const isCurrentLine = index === effectiveCurrentLineIndex;
-              const showCursor = !showComplete && !forcedDisplayState && !line.complete && isCurrentLine;
-
-              return (
-                <div key={index} className="whitespace-pre-wrap break-words">
-                  {showPrompt && renderPrompt(config.promptText, theme)}
-                  <span style={{ color: showPrompt ? theme.foreground : theme.comment }}>
-                    {line.text}
-                  </span>
-                  {showCursor && (
+          <div
+            className="relative z-10"
+            style={{
+              // Without a column count long lines don't wrap, so let them scroll sideways
+              overflowX: layoutOptions.columns ? 'hidden' : 'auto',
+              overflowY: 'hidden',
+              ...(fixedRows ? { height: `${fixedRows * rowHeight}px` } : {}),
+            }}
+          >
+            <div
+              ref={linesRef}
+              className={glowClass}
+              style={{
+                ...(fixedRows ? {
+                  transform: `translateY(-${scrollOffset}px)`,
+                  transition: config.scrollMode === 'smooth' ? 'transform 120ms ease-out' : 'none',
+                } : {}),
+                // Fade-out ending
+                ...(effectiveFade < 1 ? { opacity: effectiveFade } : {}),
+              }}
+            >
+              {effectiveDisplayedLines.map((line, index) => {
+                const lineInfo = parsedLineInfo[index];
+                if (!line || (lineInfo?.screen || 0) !== currentScreen) return null;
+                const isCurrentLine = index === effectiveCurrentLineIndex;
+                const showCursor = !showComplete && !forcedDisplayState && !line.complete && isCurrentLine;
+
+                return (
+                  <LineRows
+                    key={index}
+                    line={{
+                      text: line.text,
+                      segments: line.segments || (lineInfo?.segments ? sliceSegments(lineInfo.segments, line.text.length) : null),
+                      showPrompt: lineInfo?.showPrompt,
+                    }}
+                    layoutOptions={layoutOptions}
+                    theme={theme}
+                    rowHeight={rowHeight}
+                    cursor={showCursor && (
+                      <Cursor
+                        style={config.cursorStyle}
+                        color={theme.cursor}
+                        blink={config.cursorBlink}
+                      />
+                    )}
+                  />
+                );
+              })}
+
+              {/* Show cursor on new line once every line is done, including while a loop holds the finished terminal */}
+              {effectiveCurrentLineIndex >= parsedLineInfo.length && effectiveDisplayedLines.length > 0 && (
+                <LineRows
+                  line={promptOnlyLine}
+                  layoutOptions={layoutOptions}
+                  theme={theme}
+                  rowHeight={rowHeight}
+                  cursor={(
                     <Cursor
                       style={config.cursorStyle}
                       color={theme.cursor}
                       blink={config.cursorBlink}
                     />
                   )}
-                </div>
-              );
-            })}
-
-            {/* Show cursor on new line when complete */}
-            {effectiveIsComplete && effectiveDisplayedLines.length > 0 && (
-              <div className="whitespace-pre-wrap">
-                {renderPrompt(config.promptText, theme)}
-                <Cursor
-                  style={config.cursorStyle}
-                  color={theme.cursor}
-                  blink={config.cursorBlink}
                 />
-              </div>
-            )}
+              )}
 
-            {/* Empty state */}
-            {effectiveDisplayedLines.length === 0 && !isAnimating && !showComplete && (
-              <div className="whitespace-pre-wrap opacity-50">
-                {renderPrompt(config.promptText, theme)}
-                <span>Type something to begin...</span>
-              </div>
-            )}
+              {/* Empty state */}
+              {effectiveDisplayedLines.length === 0 && !isAnimating && !showComplete && (
+                <div className="whitespace-pre opacity-50">
+                  {renderPrompt(config.promptText, theme)}
+                  <span>Type something to begin...</span>
+                </div>
+              )}
+            </div>
           </div>
         </div>
       </div>
 
-      {/* Progress bar */}
-      {isAnimating && !effectiveIsComplete && !showComplete && (
-        <div className="mt-3 h-1.5 bg-gray-800 rounded-full overflow-hidden">
-          <div
-            className="h-full transition-all duration-150 rounded-full"
-            style={{
-              width: `${progress * 100}%`,
-              backgroundColor: theme.foreground,
-              boxShadow: `0 0 10px ${theme.foreground}`,
-            }}
+      {/* Transport: pause, scrub and step through the animation */}
+      {isAnimating && !showComplete && !forcedDisplayState && (
+        <div className="mt-3 flex items-center space-x-2 text-xs" style={{ color: theme.foreground }}>
+          <TransportButton title="Previous step" onClick={() => step(-1)}>
+            <StepBack size={14} />
+          </TransportButton>
+          <TransportButton title={playing ? 'Pause' : 'Play'} onClick={playing ? pause : play}>
+            {playing ? <Pause size={14} /> : <Play size={14} />}
+          </TransportButton>
+          <TransportButton title="Next step" onClick={() => step(1)}>
+            <StepForward size={14} />
+          </TransportButton>
+          <input
+            type="range"
+            min={0}
+            max={Math.round(duration)}
+            step={10}
+            value={Math.round(time)}
+            onChange={(e) => seek(Number(e.target.value))}
+            className="flex-1"
+            style={{ accentColor: theme.foreground }}
           />
+          <span className="font-mono tabular-nums opacity-70">
+            {formatSeconds(time)} / {formatSeconds(duration)}
+          </span>
+          {hasSound && (
+            <TransportButton title={muted ? 'Unmute' : 'Mute'} onClick={() => setMuted(!muted)}>
+              {muted ? <VolumeX size={14} /> : <Volume2 size={14} />}
+            </TransportButton>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,226 @@
+import React, { useMemo, useState } from 'react';
+import { parseLines } from '../utils/canvasRenderer';
+import { buildTimeline } from '../utils/timeline';
+import { keystrokeCount, keystrokePause } from '../utils/typing';
+import { setPauseAfter, setLineSpeed, setRevealTime } from '../utils/scriptTiming';
+
+// Horizontal scale of the track
+const PX_PER_MS = 0.1;
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Hesitations before typo corrections, which don't scale with the typing speed
+function correctionPauses(line) {
+  let total = 0;
+  for (let i = 0; i < keystrokeCount(line); i++) total += keystrokePause(line, i);
+  return total;
+}
+
+const Handle = ({ x, onPointerDown, onPointerMove, onPointerUp, title }) => (
+  <div
+    title={title}
+    onPointerDown={onPointerDown}
+    onPointerMove={onPointerMove}
+    onPointerUp={onPointerUp}
+    onPointerCancel={onPointerUp}
+    className="absolute top-0 bottom-0 w-2 -ml-1 z-10 cursor-col-resize group touch-none"
+    style={{ left: `${x}px` }}
+  >
+    <div className="mx-auto w-0.5 h-full bg-white/20 group-hover:bg-white/70 transition-colors" />
+  </div>
+);
+
+// Timeline panel: every typed line or instant output block as a bar as long as it lasts, split
+// into its typing (or reveal) and the pause after it. Dragging an edge retimes it: typing edges
+// write a #speed for the line, reveal edges a #reveal for the block, pause edges a #wait, and the
+// first and last holds set the config.
+const TimelineEditor = ({ lines, config, onLinesChange, onConfigChange }) => {
+  const parsedLines = useMemo(
+    () => parseLines(lines, config.promptText, {
+      typoRate: config.typoRate,
+      typoSeed: config.typoSeed,
+      autoClear: config.autoClear,
+    }),
+    [lines, config.promptText, config.typoRate, config.typoSeed, config.autoClear]
+  );
+  const timeline = useMemo(() => buildTimeline(parsedLines, config), [parsedLines, config]);
+
+  // The edge being dragged: { kind, block, edge (ms), min (ms it can move left), startX, delta (ms) }
+  const [drag, setDrag] = useState(null);
+
+  if (parsedLines.length === 0) return null;
+
+  const { blocks, typedAt, duration } = timeline;
+  const firstStart = blocks[0].start;
+  const { pauseBefore } = parsedLines[0];
+
+  // Everything from the dragged edge on moves with it
+  const at = (time) => (drag && time >= drag.edge ? time + drag.delta : time);
+  const x = (time) => at(time) * PX_PER_MS;
+
+  const startDrag = (kind, block, edge, min) => (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ kind, block, edge, min, startX: e.clientX, delta: 0 });
+  };
+
+  const moveDrag = (e) => {
+    if (!drag) return;
+    const delta = Math.max(drag.min, Math.round((e.clientX - drag.startX) / PX_PER_MS / 10) * 10);
+    if (delta !== drag.delta) setDrag({ ...drag, delta });
+  };
+
+  const endDrag = () => {
+    if (!drag) return;
+    const { kind, delta } = drag;
+    setDrag(null);
+    if (delta === 0) return;
+
+    if (kind === 'start') {
+      onConfigChange('startHold', Math.max(0, config.startHold + delta));
+    } else if (kind === 'end') {
+      onConfigChange('endHold', Math.max(0, config.endHold + delta));
+    } else if (kind === 'reveal') {
+      const block = blocks[drag.block];
+      onLinesChange(setRevealTime(lines, parsedLines[block.first].source, block.typed - block.start + delta));
+    } else if (kind === 'typing') {
+      const block = blocks[drag.block];
+      const line = parsedLines[block.first];
+      const pauses = correctionPauses(line);
+      const typing = block.typed - block.start - pauses;
+      const speed = (line.speed ?? config.typingSpeed) * (typing + delta) / typing;
+      onLinesChange(setLineSpeed(lines, line.source, speed, line.speed ?? null));
+    } else if (kind === 'pause') {
+      const line = parsedLines[blocks[drag.block].last];
+      onLinesChange(setPauseAfter(lines, line.source, line.pauseAfter + delta));
+    }
+  };
+
+  const dragProps = { onPointerMove: moveDrag, onPointerUp: endDrag };
+  const dragLabel = (kind, block, ms) => (
+    drag && drag.kind === kind && drag.block === block ? formatSeconds(ms + drag.delta) : formatSeconds(ms)
+  );
+  const trackWidth = x(duration) + 40;
+  const seconds = Array.from({ length: Math.floor(at(duration) / 1000) + 1 }, (_, i) => i);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <label className="text-sm font-medium text-gray-300">Timeline</label>
+        <div className="flex items-center space-x-3 text-xs text-gray-500">
+          <span>Line delay</span>
+          <input
+            type="range"
+            min={0}
+            max={1500}
+            step={50}
+            value={config.lineDelay}
+            onChange={(e) => onConfigChange('lineDelay', Number(e.target.value))}
+            className="w-28 accent-green-500"
+          />
+          <span className="w-10 font-mono text-gray-400">{formatSeconds(config.lineDelay)}</span>
+          <span className="font-mono text-gray-400">Total {formatSeconds(at(duration))}</span>
+        </div>
+      </div>
+      <div className="overflow-x-auto rounded-xl bg-black/40 border border-white/10 select-none">
+        <div className="relative h-24" style={{ width: `${trackWidth}px` }}>
+          {/* Ruler */}
+          {seconds.map((second) => (
+            <div
+              key={second}
+              className="absolute top-0 h-full border-l border-white/5 text-[10px] text-gray-600 pl-1"
+              style={{ left: `${second * 1000 * PX_PER_MS}px` }}
+            >
+              {second}s
+            </div>
+          ))}
+
+          {/* First frame hold (plus a #wait before the first line) */}
+          <div
+            className="absolute top-6 h-12 rounded-l-lg bg-white/5 text-[10px] text-gray-500 px-1 pt-1 overflow-hidden"
+            style={{ left: 0, width: `${x(firstStart)}px` }}
+            title="First frame hold"
+          >
+            {dragLabel('start', null, firstStart)}
+          </div>
+          <Handle
+            x={x(firstStart)}
+            title="Drag to change the first frame hold"
+            onPointerDown={startDrag('start', null, firstStart, pauseBefore - firstStart)}
+            {...dragProps}
+          />
+
+          {blocks.map((block, i) => {
+            const line = parsedLines[block.first];
+            const color = block.instant ? 'bg-purple-500/30' : line.showPrompt ? 'bg-green-500/30' : 'bg-cyan-500/30';
+            const label = block.instant
+              ? `${block.last - block.first + 1} line${block.last > block.first ? 's' : ''} of output`
+              : `${line.showPrompt ? '> ' : ''}${line.text}`;
+            // A pause can shrink down to the line delay, typing down to a few ms a key
+            const pauseMin = block.last === parsedLines.length - 1 ? 0 : config.lineDelay;
+            const typingMin = (keystrokeCount(line) + 1) * 5 + correctionPauses(line);
+
+            return (
+              <React.Fragment key={block.first}>
+                <div
+                  className={`absolute top-6 h-12 ${color} border-l border-black/40 px-1 pt-1 overflow-hidden whitespace-nowrap`}
+                  style={{ left: `${x(block.start)}px`, width: `${x(block.typed) - x(block.start)}px` }}
+                  title={`${label} · ${block.instant ? 'appears' : 'typed'} in ${formatSeconds(block.typed - block.start)}`}
+                >
+                  <div className="text-[11px] font-mono text-gray-200 truncate">{label}</div>
+                  <div className="text-[10px] text-gray-400">{dragLabel(block.instant ? 'reveal' : 'typing', i, block.typed - block.start)}</div>
+                </div>
+                <div
+                  className="absolute top-6 h-12 bg-white/[0.03] px-1 pt-6 overflow-hidden text-[10px] text-gray-500"
+                  style={{ left: `${x(block.typed)}px`, width: `${x(block.end) - x(block.typed)}px` }}
+                  title={`Pause ${formatSeconds(block.end - block.typed)}`}
+                >
+                  {block.end > block.typed && dragLabel('pause', i, block.end - block.typed)}
+                </div>
+                {block.instant ? (
+                  <Handle
+                    x={x(block.typed)}
+                    title="Drag to change how long this output takes to appear"
+                    onPointerDown={startDrag('reveal', i, block.typed, block.start - block.typed)}
+                    {...dragProps}
+                  />
+                ) : (
+                  <Handle
+                    x={x(block.typed)}
+                    title="Drag to change the typing speed of this line"
+                    onPointerDown={startDrag('typing', i, block.typed, typingMin - (block.typed - block.start))}
+                    {...dragProps}
+                  />
+                )}
+                <Handle
+                  x={x(block.end)}
+                  title="Drag to change the pause after this line"
+                  onPointerDown={startDrag('pause', i, block.end, pauseMin - (block.end - block.typed))}
+                  {...dragProps}
+                />
+              </React.Fragment>
+            );
+          })}
+
+          {/* Last frame hold and the ending */}
+          <div
+            className="absolute top-6 h-12 rounded-r-lg bg-white/5 text-[10px] text-gray-500 px-1 pt-1 overflow-hidden"
+            style={{ left: `${x(typedAt)}px`, width: `${x(duration) - x(typedAt)}px` }}
+            title="Last frame hold and ending"
+          >
+            {dragLabel('end', null, duration - typedAt)}
+          </div>
+          <Handle
+            x={x(duration)}
+            title="Drag to change the last frame hold"
+            onPointerDown={startDrag('end', null, duration, -config.endHold)}
+            {...dragProps}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimelineEditor;
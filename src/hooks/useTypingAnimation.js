@@ -1,194 +1,159 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-
-export function useMultiLineTyping(lines, speed = 50, lineDelay = 300, enabled = true, options = {}) {
-  const { outputMode = 'typing', lineInfo = null } = options;
-
-  const [displayedLines, setDisplayedLines] = useState([]);
+import { stepIndexAt, timelineLines } from '../utils/timeline';
+
+// Plays a timeline (see buildTimeline) in real time. The preview shows whichever step the playhead
+// has reached, so it runs at exactly the pace of the exports made from the same timeline.
+// `loopCount` plays it that many times like the exports do, 0 forever; the ending only plays
+// between loops, so the last play-through stops on the finished terminal.
+// The playhead can be paused, resumed, moved to any time (ms into the play-through) or stepped
+// one change at a time.
+export function useMultiLineTyping(parsedLines, timeline, enabled = true, options = {}) {
+  const { loopCount = 1 } = options;
+  const [stepIndex, setStepIndex] = useState(0);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
   const [isComplete, setIsComplete] = useState(false);
-  const [currentLineIndex, setCurrentLineIndex] = useState(0);
 
   const animationRef = useRef(null);
-
-  const reset = useCallback(() => {
+  // Playhead in ms since the start of the first play-through, and what it last showed
+  const playheadRef = useRef(0);
+  const shownRef = useRef({ index: 0, time: 0 });
+  const finishedRef = useRef(false);
+  const lastIndex = timeline.steps.length - 1;
+  const finalIndex = loopCount > 0 ? timeline.finishedIndex : lastIndex;
+
+  const stop = () => {
     if (animationRef.current) {
       cancelAnimationFrame(animationRef.current);
       animationRef.current = null;
     }
-    setDisplayedLines([]);
-    setCurrentLineIndex(0);
-    setIsComplete(false);
-  }, []);
+  };
 
-  const skipToEnd = useCallback(() => {
-    if (animationRef.current) {
-      cancelAnimationFrame(animationRef.current);
-      animationRef.current = null;
+  // Show the step under the playhead; true once the last play-through has reached its final step
+  const show = useCallback((playhead) => {
+    const { duration } = timeline;
+    const pass = duration > 0 ? Math.floor(playhead / duration) : 0;
+    const lastPass = !duration || (loopCount > 0 && pass >= loopCount - 1);
+    const offset = loopCount > 0 && pass >= loopCount ? duration : playhead - pass * duration;
+    const index = lastPass
+      ? Math.min(stepIndexAt(timeline, offset), finalIndex)
+      : stepIndexAt(timeline, offset);
+
+    // Only re-render when the playhead reaches a new step, or every so often for the time readout
+    const shown = shownRef.current;
+    if (index !== shown.index || Math.abs(offset - shown.time) >= 100) {
+      shownRef.current = { index, time: offset };
+      setStepIndex(index);
+      setTime(Math.min(offset, duration));
     }
-    setDisplayedLines(lines.map(line => ({ text: line, complete: true })));
-    setCurrentLineIndex(lines.length);
-    setIsComplete(true);
-  }, [lines]);
+    return lastPass && index === finalIndex;
+  }, [timeline, loopCount, finalIndex]);
 
-  useEffect(() => {
-    // Clean up on unmount or when dependencies change
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-    };
+  const pause = useCallback(() => {
+    stop();
+    setPlaying(false);
   }, []);
 
-  useEffect(() => {
-    // If not enabled, show all text immediately
-    if (!enabled) {
-      if (lines.length === 0) {
-        setDisplayedLines([]);
-      }
-      setIsComplete(true);
-      return;
+  const play = useCallback(() => {
+    stop();
+    // Playing again after the end starts over
+    if (finishedRef.current) {
+      finishedRef.current = false;
+      playheadRef.current = 0;
     }
+    setPlaying(true);
+    setIsComplete(false);
 
-    // Handle empty lines
-    if (lines.length === 0) {
-      setDisplayedLines([]);
-      setIsComplete(true);
-      return;
-    }
-
-    // Check if a line should be typed or shown instantly
-    const shouldTypeLine = (idx) => {
-      if (outputMode !== 'instant') return true;
-      // In instant mode, only type commands (lines with prompts)
-      if (lineInfo && lineInfo[idx]) {
-        return lineInfo[idx].showPrompt;
-      }
-      return true;
-    };
-
-    // Animation state tracked with refs to avoid closure issues
-    let lineIdx = 0;
-    let charIdx = 0;
-    let lastTime = 0;
-    let waitingForNextLine = false;
-    let waitStartTime = 0;
-
+    let last = null;
     const animate = (timestamp) => {
-      if (!lastTime) lastTime = timestamp;
-
-      const elapsed = timestamp - lastTime;
-
-      // Check if we're waiting between lines
-      if (waitingForNextLine) {
-        if (timestamp - waitStartTime >= lineDelay) {
-          waitingForNextLine = false;
-          lineIdx++;
-          charIdx = 0;
-          setCurrentLineIndex(lineIdx);
-          lastTime = timestamp;
-        }
-        animationRef.current = requestAnimationFrame(animate);
-        return;
-      }
+      if (last !== null) playheadRef.current += timestamp - last;
+      last = timestamp;
 
-      // Check if we're done
-      if (lineIdx >= lines.length) {
+      if (show(playheadRef.current)) {
+        animationRef.current = null;
+        finishedRef.current = true;
+        setPlaying(false);
         setIsComplete(true);
         return;
       }
+      animationRef.current = requestAnimationFrame(animate);
+    };
+    animationRef.current = requestAnimationFrame(animate);
+  }, [show]);
 
-      const currentLine = lines[lineIdx];
-      const typeThisLine = shouldTypeLine(lineIdx);
-
-      // If instant mode for this line, show it all at once
-      if (!typeThisLine) {
-        setDisplayedLines(prev => {
-          const newLines = [...prev];
-          newLines[lineIdx] = {
-            text: currentLine,
-            complete: true
-          };
-          return newLines;
-        });
-
-        // Move to next line
-        if (lineIdx < lines.length - 1) {
-          waitingForNextLine = true;
-          waitStartTime = timestamp;
-          animationRef.current = requestAnimationFrame(animate);
-        } else {
-          setIsComplete(true);
-        }
-        return;
-      }
+  // Move the playhead to `ms` into the play-through; playback carries on from there if running.
+  // It stops just short of the end, which would already be the start of the next loop.
+  const seek = useCallback((ms) => {
+    playheadRef.current = Math.max(0, Math.min(ms, timeline.duration - 1));
+    finishedRef.current = false;
+    setIsComplete(false);
+    shownRef.current = { index: -1, time: 0 };
+    show(playheadRef.current);
+  }, [timeline, show]);
+
+  // Pause and move to the next (1) or previous (-1) change on screen
+  const step = useCallback((direction) => {
+    pause();
+    const { steps } = timeline;
+    let index = Math.max(0, shownRef.current.index);
+    const current = steps[index];
+    while (index + direction >= 0 && index + direction <= lastIndex && steps[index].time === current.time) {
+      index += direction;
+    }
+    // Several steps can share a time; land on the first of them going back
+    while (index > 0 && steps[index - 1].time === steps[index].time) index--;
+    seek(steps[index].time);
+  }, [timeline, lastIndex, pause, seek]);
 
-      // Check if enough time has passed for next character
-      if (elapsed < speed) {
-        animationRef.current = requestAnimationFrame(animate);
-        return;
-      }
+  const reset = useCallback(() => {
+    pause();
+    seek(0);
+  }, [pause, seek]);
 
-      lastTime = timestamp;
-
-      // Type next character
-      if (charIdx < currentLine.length) {
-        charIdx++;
-
-        setDisplayedLines(prev => {
-          const newLines = [...prev];
-          newLines[lineIdx] = {
-            text: currentLine.substring(0, charIdx),
-            complete: false
-          };
-          return newLines;
-        });
-
-        animationRef.current = requestAnimationFrame(animate);
-      } else {
-        // Line complete
-        setDisplayedLines(prev => {
-          const newLines = [...prev];
-          newLines[lineIdx] = {
-            text: currentLine,
-            complete: true
-          };
-          return newLines;
-        });
-
-        // Check if there are more lines
-        if (lineIdx < lines.length - 1) {
-          waitingForNextLine = true;
-          waitStartTime = timestamp;
-          animationRef.current = requestAnimationFrame(animate);
-        } else {
-          // All done
-          setIsComplete(true);
-        }
-      }
-    };
+  // The end is the finished terminal, even when looping forever
+  const skipToEnd = useCallback(() => {
+    pause();
+    seek(timeline.duration);
+    shownRef.current = { index: timeline.finishedIndex, time: timeline.duration };
+    setStepIndex(timeline.finishedIndex);
+    finishedRef.current = true;
+    setIsComplete(true);
+  }, [timeline, pause, seek]);
+
+  useEffect(() => {
+    // If not enabled, stay on whatever is shown
+    if (!enabled) {
+      setPlaying(false);
+      setIsComplete(true);
+      return;
+    }
 
     // Start animation
-    setDisplayedLines([]);
-    setCurrentLineIndex(0);
-    setIsComplete(false);
-    animationRef.current = requestAnimationFrame(animate);
+    playheadRef.current = 0;
+    finishedRef.current = false;
+    shownRef.current = { index: -1, time: 0 };
+    show(0);
+    play();
 
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-    };
-  }, [enabled, lines, speed, lineDelay, outputMode, lineInfo]);
+    return stop;
+  }, [enabled, show, play]);
 
-  const totalChars = lines.reduce((sum, line) => sum + line.length, 0);
-  const typedChars = displayedLines.reduce((sum, line) => sum + (line?.text?.length || 0), 0);
-  const progress = totalChars > 0 ? typedChars / totalChars : 0;
+  const current = timeline.steps[Math.min(Math.max(stepIndex, 0), lastIndex)];
 
   return {
-    displayedLines,
+    displayedLines: timelineLines(parsedLines, current),
     isComplete,
     reset,
     skipToEnd,
-    progress,
-    currentLineIndex
+    progress: timeline.duration > 0 ? time / timeline.duration : 1,
+    currentLineIndex: current.line,
+    fade: current.fade ?? 1,
+    playing,
+    time,
+    duration: timeline.duration,
+    play,
+    pause,
+    seek,
+    step,
   };
 }
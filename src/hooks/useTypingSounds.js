@@ -0,0 +1,50 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { timelineSounds, createSoundOutput, playSound, startHum } from '../utils/typingSounds';
+
+// Jumps further than this between renders are seeks, which shouldn't fire every key on the way
+const MAX_ADVANCE = 250;
+
+// Plays the keyboard sounds of a timeline along with useMultiLineTyping: every sound the
+// playhead (`time`, ms into the play-through) passed since the last render plays right away.
+// The audio context is only created once unmuted, which browsers allow after a click.
+export function useTypingSounds(parsedLines, timeline, { time, playing, muted, clicks = true, hum = false }) {
+  const sounds = useMemo(
+    () => (clicks ? timelineSounds(parsedLines, timeline) : []),
+    [parsedLines, timeline, clicks]
+  );
+  const audioRef = useRef(null);
+  const lastTimeRef = useRef(time);
+
+  useEffect(() => {
+    if (muted) return;
+    if (!audioRef.current) {
+      const ctx = new AudioContext();
+      audioRef.current = { ctx, output: createSoundOutput(ctx) };
+    }
+    audioRef.current.ctx.resume();
+  }, [muted]);
+
+  useEffect(() => () => {
+    if (audioRef.current) audioRef.current.ctx.close();
+  }, []);
+
+  useEffect(() => {
+    const last = lastTimeRef.current;
+    lastTimeRef.current = time;
+    const audio = audioRef.current;
+    if (muted || !playing || !audio || time <= last || time - last > MAX_ADVANCE) return;
+
+    for (const sound of sounds) {
+      if (sound.time > last && sound.time <= time) {
+        playSound(audio.ctx, audio.output, sound, audio.ctx.currentTime);
+      }
+    }
+  }, [time, playing, muted, sounds]);
+
+  // The hum runs while the animation plays
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (muted || !playing || !hum || !audio) return;
+    return startHum(audio.ctx, audio.output);
+  }, [muted, playing, hum]);
+}
@@ -0,0 +1,182 @@
+// ANSI SGR escape sequence parsing for pasted tool output (nmap, hashcat, ls --color...)
+import { ansiColorNames, defaultAnsiPalette, getAnsiPalette } from './themes';
+
+export const emptyStyle = {
+  fg: null,
+  bg: null,
+  bold: false,
+  dim: false,
+  italic: false,
+  underline: false,
+  inverse: false,
+};
+
+// Real ESC characters plus the escaped spellings people type into the editor (\e[ \033[ \x1b[ \u001b[)
+const ESCAPE_PATTERN = /(?:\x1b|\\e|\\033|\\x1[bB]|\\u001[bB])(?:\[([0-9;:?]*)([@-~])|\][^\x07\x1b]*(?:\x07|\x1b\\|\\a)?|[@-Z\\-_])/g;
+
+// Apply SGR parameters to a style, returning a new style
+function applySgr(style, params) {
+  const next = { ...style };
+  const codes = params === '' ? [0] : params.split(/[;:]/).map(p => (p === '' ? 0 : Number(p)));
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+
+    if (code === 0) {
+      Object.assign(next, emptyStyle);
+    } else if (code === 1) {
+      next.bold = true;
+    } else if (code === 2) {
+      next.dim = true;
+    } else if (code === 3) {
+      next.italic = true;
+    } else if (code === 4) {
+      next.underline = true;
+    } else if (code === 7) {
+      next.inverse = true;
+    } else if (code === 22) {
+      next.bold = false;
+      next.dim = false;
+    } else if (code === 23) {
+      next.italic = false;
+    } else if (code === 24) {
+      next.underline = false;
+    } else if (code === 27) {
+      next.inverse = false;
+    } else if (code >= 30 && code <= 37) {
+      next.fg = code - 30;
+    } else if (code >= 90 && code <= 97) {
+      next.fg = code - 90 + 8;
+    } else if (code === 39) {
+      next.fg = null;
+    } else if (code >= 40 && code <= 47) {
+      next.bg = code - 40;
+    } else if (code >= 100 && code <= 107) {
+      next.bg = code - 100 + 8;
+    } else if (code === 49) {
+      next.bg = null;
+    } else if (code === 38 || code === 48) {
+      // Extended colors: 5;n (256-color) or 2;r;g;b (truecolor)
+      const key = code === 38 ? 'fg' : 'bg';
+      if (codes[i + 1] === 5 && i + 2 < codes.length) {
+        next[key] = Math.max(0, Math.min(255, codes[i + 2]));
+        i += 2;
+      } else if (codes[i + 1] === 2 && i + 4 < codes.length) {
+        const [r, g, b] = codes.slice(i + 2, i + 5).map(c => Math.max(0, Math.min(255, c)));
+        next[key] = rgbToHex(r, g, b);
+        i += 4;
+      }
+    }
+  }
+
+  return next;
+}
+
+function rgbToHex(r, g, b) {
+  return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+function sameStyle(a, b) {
+  return a.fg === b.fg && a.bg === b.bg && a.bold === b.bold && a.dim === b.dim &&
+    a.italic === b.italic && a.underline === b.underline && a.inverse === b.inverse;
+}
+
+function pushSegment(segments, text, style) {
+  if (!text) return;
+  const last = segments[segments.length - 1];
+  if (last && sameStyle(last.style, style)) {
+    last.text += text;
+  } else {
+    segments.push({ text, style });
+  }
+}
+
+// Split a line into styled segments. Non-SGR escape sequences (cursor movement, erase...) are dropped.
+// Returns the plain text, the segments and the style still active at the end of the line.
+export function parseAnsi(text, initialStyle = emptyStyle) {
+  const segments = [];
+  let style = initialStyle;
+  let plain = '';
+  let lastIndex = 0;
+
+  ESCAPE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = ESCAPE_PATTERN.exec(text)) !== null) {
+    const chunk = text.slice(lastIndex, match.index);
+    pushSegment(segments, chunk, style);
+    plain += chunk;
+    lastIndex = ESCAPE_PATTERN.lastIndex;
+
+    if (match[2] === 'm') {
+      style = applySgr(style, match[1]);
+    }
+  }
+
+  const rest = text.slice(lastIndex);
+  pushSegment(segments, rest, style);
+  plain += rest;
+
+  return { text: plain, segments, style };
+}
+
+// Take the first `length` characters of a segment list
+export function sliceSegments(segments, length) {
+  const result = [];
+  let remaining = length;
+
+  for (const segment of segments) {
+    if (remaining <= 0) break;
+    if (segment.text.length <= remaining) {
+      result.push(segment);
+      remaining -= segment.text.length;
+    } else {
+      result.push({ text: segment.text.slice(0, remaining), style: segment.style });
+      remaining = 0;
+    }
+  }
+
+  return result;
+}
+
+// Resolve a color value (palette index, hex string or null) against the 16-color palette
+export function resolveAnsiColor(value, palette = defaultAnsiPalette) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') return value;
+
+  if (value < 16) {
+    return palette[ansiColorNames[value]];
+  }
+
+  if (value < 232) {
+    // 6x6x6 color cube
+    const levels = [0, 95, 135, 175, 215, 255];
+    const index = value - 16;
+    return rgbToHex(levels[Math.floor(index / 36)], levels[Math.floor(index / 6) % 6], levels[index % 6]);
+  }
+
+  // Grayscale ramp
+  const level = 8 + (value - 232) * 10;
+  return rgbToHex(level, level, level);
+}
+
+// Turn a segment style into concrete colors and font attributes for the active theme
+export function resolveSegmentStyle(style, theme, defaultColor) {
+  const palette = getAnsiPalette(theme);
+  let color = resolveAnsiColor(style.fg, palette) || defaultColor;
+  let background = resolveAnsiColor(style.bg, palette);
+
+  if (style.inverse) {
+    const swapped = background || theme.background;
+    background = color;
+    color = swapped;
+  }
+
+  return {
+    color,
+    background,
+    fontWeight: style.bold ? 700 : 400,
+    fontStyle: style.italic ? 'italic' : 'normal',
+    underline: style.underline,
+    opacity: style.dim ? 0.6 : 1,
+  };
+}
@@ -1,4 +1,26 @@
-// Canvas-based terminal renderer for GIF export
+// Canvas-based terminal renderer behind every export (GIF frames, PNG, SVG)
+import { parseAnsi, resolveSegmentStyle, emptyStyle } from './ansi';
+import { markupToAnsi } from './markup';
+import { buildKeystrokes, applyKeystrokes, addAutoTypos, createRandom, keystrokeCount, typedLine } from './typing';
+import { layoutLine, getLayoutOptions, promptOnlyLine } from './layout';
+import { buildTimeline, timelineLines, DEFAULT_FPS } from './timeline';
+
+// A canvas on the page, or an OffscreenCanvas when rendering inside a worker
+export function createCanvas(width = 300, height = 150) {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// Width of one character cell for the configured font
+export function measureCellWidth(ctx, fontSize, font) {
+  ctx.font = `400 ${fontSize}px ${font || 'monospace'}`;
+  return ctx.measureText('0').width;
+}
 
 // Calculate canvas dimensions based on content
 function calculateCanvasDimensions(config, theme, lines, scale) {
@@ -7,56 +29,193 @@ function calculateCanvasDimensions(config, theme, lines, scale) {
   const lineHeight = config.lineHeight;
   const titleBarHeight = config.showTitle ? 40 * scale : 0;
 
-  // Create a temporary canvas to measure text
-  const measureCanvas = document.createElement('canvas');
-  const measureCtx = measureCanvas.getContext('2d');
-  measureCtx.font = `400 ${fontSize}px ${config.font || 'monospace'}`;
+  // Create a temporary canvas to measure the cell width
+  const measureCtx = createCanvas(1, 1).getContext('2d');
+  const cellWidth = measureCellWidth(measureCtx, fontSize, config.font);
 
-  // Calculate required width based on longest line
-  let maxLineWidth = 0;
-  for (const line of lines) {
-    let lineWidth = 0;
-
-    // Add prompt width if applicable
-    if (line.showPrompt && config.promptText) {
-      const promptParts = config.promptText.split('\n');
-      const lastPromptPart = promptParts[promptParts.length - 1];
-      lineWidth += measureCtx.measureText(lastPromptPart).width;
+  // Calculate required width: the fixed column count, or the widest laid out row
+  const layoutOptions = getLayoutOptions(config);
+  let maxCells = layoutOptions.columns;
+  if (!maxCells) {
+    for (const line of [...lines, promptOnlyLine]) {
+      maxCells = Math.max(maxCells, layoutLine(line, layoutOptions).width);
     }
-
-    // Add text width
-    lineWidth += measureCtx.measureText(line.text || '').width;
-    maxLineWidth = Math.max(maxLineWidth, lineWidth);
   }
 
   // Calculate total width (content + padding + some margin)
-  const contentWidth = maxLineWidth + (padding * 2) + (40 * scale);
+  const contentWidth = (maxCells * cellWidth) + (padding * 2) + (40 * scale);
   const totalWidth = Math.max(400 * scale, contentWidth);
 
-  // Calculate required height based on content
-  let totalLines = 0;
+  // Calculate required height: the fixed row count, or the tallest screen (content between clears)
+  const totalLines = config.terminalRows > 0 ? config.terminalRows : maxScreenRows(lines, config);
+
+  const contentHeight = (totalLines * fontSize * lineHeight) + (padding * 2) + (20 * scale);
+  const totalHeight = titleBarHeight + Math.max(100 * scale, contentHeight);
+
+  return { width: totalWidth, height: totalHeight };
+}
+
+// Rows needed by the tallest screen, i.e. the lines between two clears plus the final prompt line
+export function maxScreenRows(lines, config) {
+  const layoutOptions = getLayoutOptions(config);
+  const rowsPerScreen = [0];
+
+  for (const line of lines) {
+    const screen = line.screen || 0;
+    rowsPerScreen[screen] = (rowsPerScreen[screen] || 0) + layoutLine(line, layoutOptions).rows.length;
+  }
+
+  const promptRows = layoutLine(promptOnlyLine, layoutOptions).rows.length;
+  return Math.max(...rowsPerScreen.map(rows => rows || 0)) + promptRows;
+}
+
+// Rows occupied by a display state: each wrapped line, multi-line prompts, and the final prompt line
+export function contentRows(lines, config, withFinalPrompt) {
+  const layoutOptions = getLayoutOptions(config);
+  let rows = 0;
   for (const line of lines) {
-    if (line.showPrompt && config.promptText && config.promptText.includes('\n')) {
-      totalLines += config.promptText.split('\n').length - 1;
+    rows += layoutLine(line, layoutOptions).rows.length;
+  }
+  return rows + (withFinalPrompt ? layoutLine(promptOnlyLine, layoutOptions).rows.length : 0);
+}
+
+// Rows scrolled off the top in fixed-rows mode (config.terminalRows), 0 when the window grows to fit
+export function getScrollRows(config, displayState) {
+  if (!(config.terminalRows > 0)) return 0;
+  const { lines, showCursor = false, cursorLineIndex = -1 } = displayState;
+  const withFinalPrompt = showCursor && cursorLineIndex >= lines.length;
+  return Math.max(0, contentRows(lines, config, withFinalPrompt) - config.terminalRows);
+}
+
+// Screen shown while the cursor is on `lineIndex` (past the end = final prompt, after a trailing clear)
+export function screenAt(parsedLines, lineIndex) {
+  if (lineIndex < parsedLines.length) {
+    return parsedLines[lineIndex]?.screen || 0;
+  }
+  const last = parsedLines[parsedLines.length - 1];
+  if (!last) return 0;
+  return (last.screen || 0) + (last.clearAfter ? 1 : 0);
+}
+
+// Background images are decoded once and reused by every frame; drawTerminal skips them until loaded
+const backgroundImages = new Map();
+
+// Workers have no Image element, so they decode through createImageBitmap
+function decodeImage(src) {
+  if (typeof Image === 'undefined') {
+    return fetch(src)
+      .then(response => response.blob())
+      .then(blob => createImageBitmap(blob))
+      .catch(() => null);
+  }
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = src;
+  });
+}
+
+export function loadBackgroundImage(src) {
+  if (!src) return Promise.resolve(null);
+  if (!backgroundImages.has(src)) {
+    const entry = { image: null };
+    entry.loaded = decodeImage(src).then((image) => {
+      entry.image = image;
+      return image;
+    });
+    backgroundImages.set(src, entry);
+  }
+  return backgroundImages.get(src).loaded;
+}
+
+function getLoadedBackgroundImage(src) {
+  const entry = src && backgroundImages.get(src);
+  return entry ? entry.image : null;
+}
+
+// Same layers as the preview's `.terminal-glow` text-shadow (px at 1x)
+export const GLOW_RADII = [32, 16, 8, 4];
+
+// Opacity steps of the preview's `flicker` keyframes
+export const FLICKER_OPACITIES = [0.98, 0.95, 0.98, 0.96, 0.98, 0.95];
+
+// Noise tiles are generated once per variant and cycled through the frames
+const NOISE_VARIANTS = 6;
+const NOISE_TILE_SIZE = 128;
+const noiseTiles = [];
+
+function getNoiseTile(frameIndex) {
+  const variant = frameIndex % NOISE_VARIANTS;
+  if (!noiseTiles[variant]) {
+    const tile = createCanvas(NOISE_TILE_SIZE, NOISE_TILE_SIZE);
+    const tileCtx = tile.getContext('2d');
+    const imageData = tileCtx.createImageData(NOISE_TILE_SIZE, NOISE_TILE_SIZE);
+    const random = createRandom(variant + 1);
+    for (let i = 0; i < imageData.data.length; i += 4) {
+      const value = Math.floor(random() * 256);
+      imageData.data[i] = value;
+      imageData.data[i + 1] = value;
+      imageData.data[i + 2] = value;
+      imageData.data[i + 3] = 255;
     }
-    totalLines += 1;
+    tileCtx.putImageData(imageData, 0, 0);
+    noiseTiles[variant] = tile;
   }
-  // Add one more line for final cursor
-  if (config.promptText && config.promptText.includes('\n')) {
-    totalLines += config.promptText.split('\n').length;
-  } else {
-    totalLines += 1;
+  return noiseTiles[variant];
+}
+
+// Which preview effects are active: each needs the config toggle and theme support, like the CSS classes
+export function getEffects(config, theme) {
+  return {
+    glow: Boolean(config.glowEffect && theme.glow),
+    scanlines: Boolean(config.scanlineEffect && theme.scanlines),
+    crt: Boolean(config.crtEffect && theme.crt),
+  };
+}
+
+// Horizontal scanlines over the content area: 1px dark, 1px clear, counted from the bottom like the CSS gradient
+function drawScanlines(ctx, x, y, width, height, scale) {
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
+  for (let lineY = y + height - scale; lineY > y - scale; lineY -= 2 * scale) {
+    ctx.fillRect(x, Math.max(y, lineY), width, Math.min(scale, lineY + scale - y));
   }
+}
 
-  const contentHeight = (totalLines * fontSize * lineHeight) + (padding * 2) + (20 * scale);
-  const totalHeight = titleBarHeight + Math.max(100 * scale, contentHeight);
+// CRT flicker dims the whole window a little differently every frame, with a faint noise layer on top
+function drawCrt(ctx, width, height, borderRadius, frameIndex) {
+  const random = createRandom(frameIndex + 1);
+  const opacity = FLICKER_OPACITIES[Math.floor(random() * FLICKER_OPACITIES.length)];
 
-  return { width: totalWidth, height: totalHeight };
+  ctx.save();
+  roundRect(ctx, 0, 0, width, height, borderRadius);
+  ctx.clip();
+
+  ctx.globalAlpha = 0.02;
+  ctx.fillStyle = ctx.createPattern(getNoiseTile(frameIndex), 'repeat');
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = `rgba(0, 0, 0, ${(1 - opacity).toFixed(2)})`;
+  ctx.fillRect(0, 0, width, height);
+  ctx.restore();
+}
+
+// Draw an image scaled to cover the area, centered (CSS background-size: cover)
+function drawImageCover(ctx, image, x, y, width, height) {
+  // Image elements report their intrinsic size as natural*, ImageBitmaps as width/height
+  const imageWidth = image.naturalWidth || image.width;
+  const imageHeight = image.naturalHeight || image.height;
+  const ratio = Math.max(width / imageWidth, height / imageHeight);
+  const drawWidth = imageWidth * ratio;
+  const drawHeight = imageHeight * ratio;
+  ctx.drawImage(image, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
 }
 
 // Draw the terminal window onto a canvas context at specified position and size
 function drawTerminal(ctx, config, theme, displayState, terminalX, terminalY, terminalWidth, terminalHeight, scale) {
-  const { lines, showCursor = false, cursorLineIndex = -1 } = displayState;
+  const { lines, showCursor = false, cursorLineIndex = -1, frameIndex = 0 } = displayState;
+  const effects = getEffects(config, theme);
 
   const fontSize = config.fontSize * scale;
   const padding = config.padding * scale;
@@ -123,87 +282,89 @@ function drawTerminal(ctx, config, theme, displayState, terminalX, terminalY, te
     ctx.textAlign = 'left';
   }
 
-  // Draw terminal content area
+  // Draw terminal content area, with the background image shown through at backgroundOpacity
   const contentY = titleBarHeight;
-  ctx.fillStyle = theme.background;
+  const contentHeight = terminalHeight - titleBarHeight;
+  const backgroundImage = getLoadedBackgroundImage(config.backgroundImage);
+  ctx.save();
   if (config.showTitle) {
-    ctx.fillRect(0, contentY, terminalWidth, terminalHeight - titleBarHeight);
+    ctx.beginPath();
+    ctx.rect(0, contentY, terminalWidth, contentHeight);
   } else {
-    ctx.save();
     roundRect(ctx, 0, 0, terminalWidth, terminalHeight, borderRadius);
-    ctx.clip();
-    ctx.fillRect(0, 0, terminalWidth, terminalHeight);
-    ctx.restore();
   }
+  ctx.clip();
+  ctx.fillStyle = theme.background;
+  ctx.fillRect(0, contentY, terminalWidth, contentHeight);
+  if (backgroundImage) {
+    drawImageCover(ctx, backgroundImage, 0, contentY, terminalWidth, contentHeight);
+    ctx.globalAlpha = 1 - (config.backgroundOpacity ?? 0.1);
+    ctx.fillRect(0, contentY, terminalWidth, contentHeight);
+    ctx.globalAlpha = 1;
+  }
+  ctx.restore();
 
   // Set up text rendering
   ctx.font = `400 ${fontSize}px ${config.font || 'monospace'}`;
   ctx.textBaseline = 'top';
 
   let currentY = contentY + padding;
+  const rowHeight = fontSize * lineHeight;
 
-  // Render each line
-  for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
-    const line = lines[lineIdx];
-    let currentX = padding;
-
-    // Draw prompt if this is a command line
-    if (line.showPrompt && config.promptText) {
-      const promptParts = config.promptText.split('\n');
-
-      if (promptParts.length > 1) {
-        for (let p = 0; p < promptParts.length - 1; p++) {
-          ctx.fillStyle = theme.prompt;
-          ctx.fillText(promptParts[p], currentX, currentY);
-          currentY += fontSize * lineHeight;
-        }
-        ctx.fillStyle = theme.prompt;
-        ctx.fillText(promptParts[promptParts.length - 1], currentX, currentY);
-        currentX += ctx.measureText(promptParts[promptParts.length - 1]).width;
-      } else {
-        ctx.fillStyle = theme.prompt;
-        ctx.fillText(config.promptText, currentX, currentY);
-        currentX += ctx.measureText(config.promptText).width;
-      }
-    }
+  // Fixed-rows mode: clip to the viewport and shift older rows off the top
+  const fixedRows = config.terminalRows > 0;
+  if (fixedRows) {
+    const scrollRows = displayState.scrollRows ?? getScrollRows(config, displayState);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, currentY, terminalWidth, config.terminalRows * rowHeight);
+    ctx.clip();
+    currentY -= scrollRows * rowHeight;
+  }
+
+  // Render each line on the character grid (prompt, wrapped rows, tabs, wide glyphs)
+  const layoutOptions = getLayoutOptions(config);
+  const cellWidth = measureCellWidth(ctx, fontSize, config.font);
 
-    // Draw text content
+  const drawLine = (line, isCursorLine) => {
+    const layout = layoutLine(line, layoutOptions);
     const textColor = line.showPrompt ? theme.foreground : theme.comment;
-    ctx.fillStyle = textColor;
-    ctx.fillText(line.text || '', currentX, currentY);
 
-    // Draw cursor if this is the current line
-    if (showCursor && cursorLineIndex === lineIdx) {
-      const textWidth = ctx.measureText(line.text || '').width;
-      drawCursor(ctx, currentX + textWidth + 2 * scale, currentY, fontSize, theme.cursor, config.cursorStyle, scale);
+    layout.rows.forEach((row, rowIdx) => {
+      for (const run of row) {
+        drawRun(ctx, run, padding + run.col * cellWidth, currentY + rowIdx * rowHeight, cellWidth, config, theme, textColor, fontSize, lineHeight, scale, effects.glow);
+      }
+    });
+
+    if (isCursorLine) {
+      const cursorX = padding + layout.cursor.col * cellWidth + 2 * scale;
+      drawCursor(ctx, cursorX, currentY + layout.cursor.row * rowHeight, fontSize, theme.cursor, config.cursorStyle, scale);
     }
 
-    currentY += fontSize * lineHeight;
+    currentY += layout.rows.length * rowHeight;
+  };
+
+  ctx.globalAlpha = displayState.fade ?? 1;
+  for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
+    drawLine(lines[lineIdx], showCursor && cursorLineIndex === lineIdx);
   }
 
-  // Draw cursor at end (new line) if animation is complete
+  // Draw prompt and cursor on a new line if animation is complete
   if (showCursor && cursorLineIndex >= lines.length) {
-    let cursorX = padding;
-
-    if (config.promptText) {
-      const promptParts = config.promptText.split('\n');
-      if (promptParts.length > 1) {
-        for (let p = 0; p < promptParts.length - 1; p++) {
-          ctx.fillStyle = theme.prompt;
-          ctx.fillText(promptParts[p], cursorX, currentY);
-          currentY += fontSize * lineHeight;
-        }
-        ctx.fillStyle = theme.prompt;
-        ctx.fillText(promptParts[promptParts.length - 1], cursorX, currentY);
-        cursorX += ctx.measureText(promptParts[promptParts.length - 1]).width;
-      } else {
-        ctx.fillStyle = theme.prompt;
-        ctx.fillText(config.promptText, cursorX, currentY);
-        cursorX += ctx.measureText(config.promptText).width;
-      }
-    }
+    drawLine(promptOnlyLine, true);
+  }
+  ctx.globalAlpha = 1;
+
+  if (fixedRows) {
+    ctx.restore();
+  }
 
-    drawCursor(ctx, cursorX + 2 * scale, currentY, fontSize, theme.cursor, config.cursorStyle, scale);
+  // Overlays drawn on top of everything, like the preview's pseudo-elements
+  if (effects.scanlines) {
+    drawScanlines(ctx, 0, contentY, terminalWidth, contentHeight, scale);
+  }
+  if (effects.crt) {
+    drawCrt(ctx, terminalWidth, terminalHeight, borderRadius, frameIndex);
   }
 
   // Restore context state
@@ -215,6 +376,7 @@ export function createTerminalCanvas(config, theme, displayState, options = {})
     scale = 2,
     fixedWidth = null,
     fixedHeight = null,
+    canvas: reusedCanvas = null,
   } = options;
 
   const { lines } = displayState;
@@ -237,10 +399,15 @@ export function createTerminalCanvas(config, theme, displayState, options = {})
   const terminalWidth = canvasWidth;
   const terminalHeight = canvasHeight;
 
-  // Create the canvas
-  const canvas = document.createElement('canvas');
-  canvas.width = canvasWidth;
-  canvas.height = canvasHeight;
+  // Create the canvas, or clear the one being reused (its corners stay transparent)
+  const canvas = reusedCanvas || createCanvas(canvasWidth, canvasHeight);
+  if (reusedCanvas) {
+    if (canvas.width !== Math.floor(canvasWidth) || canvas.height !== Math.floor(canvasHeight)) {
+      canvas.width = canvasWidth;
+      canvas.height = canvasHeight;
+    }
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+  }
 
   const ctx = canvas.getContext('2d');
 
@@ -250,6 +417,45 @@ export function createTerminalCanvas(config, theme, displayState, options = {})
   return canvas;
 }
 
+// Draw one laid out run (prompt or styled text) starting at its cell position
+function drawRun(ctx, run, x, y, cellWidth, config, theme, defaultColor, fontSize, lineHeight, scale, glow = false) {
+  const style = resolveSegmentStyle(run.style, theme, run.kind === 'prompt' ? theme.prompt : defaultColor);
+  const width = run.cells * cellWidth;
+  ctx.font = `${style.fontStyle} ${style.fontWeight} ${fontSize}px ${config.font || 'monospace'}`;
+
+  if (style.background) {
+    ctx.fillStyle = style.background;
+    ctx.fillRect(x, y - (fontSize * (lineHeight - 1)) / 2, width, fontSize * lineHeight);
+  }
+
+  // Relative to the alpha the terminal text is drawn at, which an ending's fade lowers
+  const alpha = ctx.globalAlpha;
+  ctx.globalAlpha = alpha * style.opacity;
+  ctx.fillStyle = style.color;
+  // Center double-width glyphs in their two cells whatever the fallback font's advance
+  const textX = run.wide ? x + (width - ctx.measureText(run.text).width) / 2 : x;
+
+  if (glow) {
+    // Only the shadows are wanted: draw the glyphs off-canvas and offset their shadows back,
+    // so overdrawing the text doesn't embolden it. Widest layer first, the text goes on top.
+    const offset = ctx.canvas.width + 1000;
+    ctx.save();
+    ctx.shadowColor = style.color;
+    ctx.shadowOffsetX = offset;
+    for (const radius of GLOW_RADII) {
+      ctx.shadowBlur = radius * scale;
+      ctx.fillText(run.text, textX - offset, y);
+    }
+    ctx.restore();
+  }
+  ctx.fillText(run.text, textX, y);
+
+  if (style.underline) {
+    ctx.fillRect(x, y + fontSize * 1.05, width, Math.max(1, scale));
+  }
+  ctx.globalAlpha = alpha;
+}
+
 function drawCursor(ctx, x, y, fontSize, color, style, scale) {
   ctx.fillStyle = color;
   const width = fontSize * 0.6;
@@ -290,12 +496,60 @@ function roundRectTop(ctx, x, y, width, height, radius) {
   ctx.closePath();
 }
 
-// Parse input lines: > prefix = command, !! markers = instant output block
-export function parseLines(inputLines, promptText) {
+// Directive lines: `#wait <ms>`, `#speed <ms per char>`, `#speed reset`, `#reveal <ms>`, `#clear`
+const DIRECTIVE_PATTERN = /^#(wait|speed|reveal)\s+(\d+|reset)$/i;
+
+export function parseDirective(trimmed) {
+  if (/^#clear$/i.test(trimmed)) {
+    return { name: 'clear', value: null };
+  }
+
+  const match = DIRECTIVE_PATTERN.exec(trimmed);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  const value = match[2].toLowerCase();
+  // `#wait reset` and `#reveal reset` mean nothing, keep them as regular lines
+  if ((name === 'wait' || name === 'reveal') && value === 'reset') return null;
+
+  return { name, value: value === 'reset' ? null : Number(value) };
+}
+
+// Styled text of a line plus its keystrokes when it contains `{<<}` corrections or auto typos
+function parseStyledText(raw, initialStyle, random, typoRate) {
+  const parsed = parseAnsi(markupToAnsi(raw), initialStyle);
+  const keystrokes = buildKeystrokes(parsed.segments) ||
+    (random && typoRate > 0 ? addAutoTypos(parsed.segments, typoRate, random) : null);
+
+  if (!keystrokes) {
+    return { ...parsed, keystrokes: null };
+  }
+
+  const { text, segments } = applyKeystrokes(keystrokes);
+  return { text, segments, style: parsed.style, keystrokes };
+}
+
+// Parse input lines: > prefix = command, !! markers = instant output block, #wait/#speed directives
+// ANSI escape sequences and `{color}` markup are parsed into styled segments; `text` holds the visible characters only.
+// options.typoRate / options.typoSeed add reproducible, corrected typos to commands.
+// `#clear` (and a typed `clear` command when options.autoClear is set) starts a new screen:
+// every line carries its `screen` number, and the line before a clear gets `clearAfter`.
+// `source` is the index of the input line each parsed line came from.
+export function parseLines(inputLines, promptText, options = {}) {
+  const { typoRate = 0, typoSeed = 1, autoClear = false } = options;
   const result = [];
+  let screen = 0;
   let inInstantBlock = false;
-
-  for (const line of inputLines) {
+  // SGR state carries across output lines like a real terminal, commands start clean
+  let ansiStyle = emptyStyle;
+  // Per-char typing speed set by #speed (null = global typing speed)
+  let speed = null;
+  // #wait before the first line has nothing to follow, so it delays the start instead
+  let pendingPause = 0;
+  // How long the next instant output block takes to appear, set by #reveal (null = by its size)
+  let pendingReveal = null;
+
+  for (const [source, line] of inputLines.entries()) {
     const trimmed = line.trim();
 
     // Check for !! block marker (line contains only !!)
@@ -304,21 +558,69 @@ export function parseLines(inputLines, promptText) {
       continue; // Don't include the marker line itself
     }
 
+    const directive = parseDirective(trimmed);
+    if (directive) {
+      if (directive.name === 'clear') {
+        if (result.length > 0 && !result[result.length - 1].clearAfter) {
+          result[result.length - 1].clearAfter = true;
+          screen++;
+        }
+      } else if (directive.name === 'speed') {
+        speed = directive.value;
+      } else if (directive.name === 'reveal') {
+        pendingReveal = directive.value;
+      } else if (result.length > 0) {
+        result[result.length - 1].pauseAfter += directive.value;
+      } else {
+        pendingPause += directive.value;
+      }
+      continue;
+    }
+
+    const timing = {
+      source,
+      speed,
+      pauseBefore: result.length === 0 ? pendingPause : 0,
+      pauseAfter: 0,
+      reveal: pendingReveal,
+      screen,
+      clearAfter: false,
+    };
+    pendingReveal = null;
+
     const trimmedStart = line.trimStart();
     if (trimmedStart.startsWith('>')) {
-      const command = trimmedStart.slice(1).trimStart();
+      // Seeded per line, so editing one command doesn't reshuffle the typos of the others
+      const random = typoRate > 0 ? createRandom(typoSeed * 7919 + result.length) : null;
+      const command = parseStyledText(trimmedStart.slice(1).trimStart(), emptyStyle, random, typoRate);
+      ansiStyle = emptyStyle;
       result.push({
         type: 'command',
-        text: command,
+        text: command.text,
+        segments: command.segments,
+        keystrokes: command.keystrokes,
         showPrompt: true,
         instant: false,
+        ...timing,
       });
+
+      // A real `clear` wipes the screen once it has been typed
+      if (autoClear && /^clear$/.test(command.text.trim())) {
+        result[result.length - 1].clearAfter = true;
+        screen++;
+      }
     } else {
+      // Auto typos are for commands only, but explicit `{<<}` corrections work on output too
+      const output = parseStyledText(line, ansiStyle, null, 0);
+      ansiStyle = output.style;
       result.push({
         type: 'output',
-        text: line,
+        text: output.text,
+        segments: output.segments,
+        keystrokes: output.keystrokes,
         showPrompt: false,
         instant: inInstantBlock,
+        ...timing,
       });
     }
   }
@@ -326,22 +628,15 @@ export function parseLines(inputLines, promptText) {
   return result;
 }
 
-export function generateAnimationFrames(parsedLines, config, theme, options = {}) {
-  const {
-    targetFrameCount = 40,
-    typingSpeed = 50,
-    targetWidth = null,
-    targetHeight = null,
-  } = options;
-
-  const scale = 2;
-  const frames = [];
-  const outputMode = config.outputMode || 'typing';
-
+// Canvas size and font scaling shared by every frame of an export and by the static exports.
+// With target dimensions the canvas is fixed and the font shrinks until the content fits.
+export function getExportLayout(parsedLines, config, theme, targetWidth, targetHeight, scale) {
   // Calculate final terminal dimensions based on ALL content (stays fixed throughout)
   const finalLines = parsedLines.map(l => ({
     text: l.text,
+    segments: l.segments,
     showPrompt: l.showPrompt,
+    screen: l.screen,
   }));
 
   // Determine canvas dimensions
@@ -374,119 +669,185 @@ export function generateAnimationFrames(parsedLines, config, theme, options = {}
   }
 
   // Recalculate dimensions with adjusted config if no target dimensions
-  let finalCanvasWidth, finalCanvasHeight;
   if (useTargetDimensions) {
-    finalCanvasWidth = canvasWidth;
-    finalCanvasHeight = canvasHeight;
-  } else {
-    const dims = calculateCanvasDimensions(adjustedConfig, theme, finalLines, scale);
-    finalCanvasWidth = dims.width;
-    finalCanvasHeight = dims.height;
+    return { config: adjustedConfig, width: canvasWidth, height: canvasHeight };
   }
+  const dims = calculateCanvasDimensions(adjustedConfig, theme, finalLines, scale);
+  return { config: adjustedConfig, width: dims.width, height: dims.height };
+}
 
-  // Calculate typed chars, excluding instant lines (both from outputMode and !! markers)
-  const typedChars = parsedLines.reduce((sum, l) => {
-    // Skip instant output lines (either from global outputMode or !! markers)
-    if ((outputMode === 'instant' && !l.showPrompt) || l.instant) return sum;
-    return sum + l.text.length;
-  }, 0);
-  const charsPerFrame = Math.max(1, Math.ceil(typedChars / targetFrameCount));
-
-  // Helper to create a frame with consistent dimensions (using adjusted config for font scaling)
-  const createFrame = (lines, cursorLineIndex, delay) => ({
-    canvas: createTerminalCanvas(adjustedConfig, theme, {
-      lines,
-      showCursor: true,
-      cursorLineIndex,
-    }, {
-      scale,
-      fixedWidth: finalCanvasWidth,
-      fixedHeight: finalCanvasHeight,
-    }),
-    delay,
-  });
-
-  // Initial empty frame
-  frames.push(createFrame([], 0, 500));
+// Display state with the cursor on `cursorLineIndex`. Only the screen the cursor is on is drawn,
+// so a clear wipes everything above it.
+export function screenDisplayState(parsedLines, lines, cursorLineIndex, scrollRows, frameIndex) {
+  const screen = screenAt(parsedLines, cursorLineIndex);
+  const firstIndex = parsedLines.findIndex(l => (l.screen || 0) === screen);
+  const screenStart = firstIndex === -1 ? parsedLines.length : firstIndex;
+  const visibleLines = lines.slice(screenStart).filter((l, i) => (parsedLines[screenStart + i]?.screen || 0) === screen);
+
+  return {
+    lines: visibleLines,
+    showCursor: true,
+    cursorLineIndex: cursorLineIndex - screenStart,
+    scrollRows,
+    // Drives the per-frame CRT flicker and noise
+    frameIndex,
+    screen,
+  };
+}
 
-  const displayLines = [];
-  let charCounter = 0;
-  let lineIdx = 0;
+// Every line fully typed, as shown by the final frame of the animation
+export function completedLines(parsedLines) {
+  return parsedLines.map(l => ({
+    ...typedLine(l, keystrokeCount(l)),
+    showPrompt: l.showPrompt,
+  }));
+}
 
-  while (lineIdx < parsedLines.length) {
-    const lineInfo = parsedLines[lineIdx];
-    const fullText = lineInfo.text;
-    const isCommand = lineInfo.showPrompt;
-    // Check if this line should appear instantly (either from outputMode or !! marker)
-    const shouldBeInstant = (outputMode === 'instant' && !isCommand) || lineInfo.instant;
+// The final frame also serves the static exports; it keeps frame index 0 so the CRT flicker matches
+const FINAL_FRAME_INDEX = 0;
 
-    displayLines[lineIdx] = {
-      text: '',
-      showPrompt: lineInfo.showPrompt,
-    };
+// Render the finished terminal (the last animation frame) for PNG/SVG export
+export function createFinalFrameCanvas(parsedLines, config, theme, options = {}) {
+  const {
+    targetWidth = null,
+    targetHeight = null,
+  } = options;
 
-    if (shouldBeInstant) {
-      // Instant output - show immediately and batch consecutive instant lines
-      displayLines[lineIdx].text = fullText;
-
-      let batchEndIdx = lineIdx;
-      // Batch consecutive instant lines together
-      while (batchEndIdx + 1 < parsedLines.length) {
-        const nextLine = parsedLines[batchEndIdx + 1];
-        const nextIsInstant = (outputMode === 'instant' && !nextLine.showPrompt) || nextLine.instant;
-        if (!nextIsInstant) break;
-
-        batchEndIdx++;
-        displayLines[batchEndIdx] = {
-          text: parsedLines[batchEndIdx].text,
-          showPrompt: parsedLines[batchEndIdx].showPrompt,
-        };
-      }
+  const scale = 2;
+  const layout = getExportLayout(parsedLines, config, theme, targetWidth, targetHeight, scale);
+  const displayState = screenDisplayState(parsedLines, completedLines(parsedLines), parsedLines.length, null, FINAL_FRAME_INDEX);
 
-      const outputLineCount = batchEndIdx - lineIdx + 1;
-      const baseDelay = 150;
-      const perLineDelay = Math.min(50, 200 / outputLineCount);
-      const totalDelay = baseDelay + (outputLineCount * perLineDelay);
+  return createTerminalCanvas(layout.config, theme, displayState, {
+    scale,
+    fixedWidth: layout.width,
+    fixedHeight: layout.height,
+  });
+}
 
-      frames.push(createFrame(
-        displayLines.map(l => ({ ...l })),
-        batchEndIdx,
-        Math.min(totalDelay, 400)
-      ));
+// The animation as a list of { state, delay }: display states ready for drawTerminal (or the SVG
+// renderer) and how long each one stays on screen in ms. The script's timeline is sampled at `fps`,
+// so the export runs exactly as long as the preview; keystrokes within one frame are merged.
+// `repeat` plays it that many times over, for formats that can't loop by themselves. A fade or
+// erase ending leads into the next play-through, so the last one stops on the finished terminal
+// unless `finalEnding` (see loopLayout).
+export function generateFrameStates(parsedLines, config, options = {}) {
+  const {
+    fps = DEFAULT_FPS,
+    typingSpeed = config.typingSpeed ?? 50,
+    repeat = 1,
+    finalEnding = true,
+  } = options;
 
-      lineIdx = batchEndIdx + 1;
-    } else {
-      // Typing animation for commands and non-instant output
-      for (let charIdx = 0; charIdx < fullText.length; charIdx++) {
-        displayLines[lineIdx].text = fullText.substring(0, charIdx + 1);
-        charCounter++;
-
-        if (charCounter % charsPerFrame === 0 || charIdx === fullText.length - 1) {
-          frames.push(createFrame(
-            displayLines.map(l => ({ ...l })),
-            lineIdx,
-            Math.max(30, typingSpeed)
-          ));
-        }
+  let frames = [];
+  const timeline = buildTimeline(parsedLines, { ...config, typingSpeed });
+
+  // Frame boundaries fall on whole centiseconds, the unit GIF delays are stored in, so rounding
+  // never adds up to drift over a long animation
+  const tickOf = time => Math.round(time * fps / 1000);
+  const tickTime = tick => Math.round(tick * 100 / fps) * 10;
+
+  // Helper to create a frame; `scrollRows` overrides the fixed-rows scroll position (used for smooth scrolling).
+  const createFrame = (lines, cursorLineIndex, delay, scrollRows = null, frameIndex = frames.length, fade = 1) => {
+    const state = screenDisplayState(parsedLines, lines, cursorLineIndex, scrollRows, frameIndex);
+    state.scrollRows = scrollRows ?? getScrollRows(config, state);
+    if (fade < 1) state.fade = fade;
+    return { state, delay };
+  };
+
+  // Smooth scrolling eases new rows in over a few frames taken out of the frame's own delay
+  const smoothScrollSteps = 4;
+  const smoothScrollStepDelay = Math.max(20, tickTime(1));
+  let lastFrame = null;
+  const pushFrame = (lines, cursorLineIndex, delay, frameIndex = frames.length, fade = 1) => {
+    const frame = createFrame(lines, cursorLineIndex, delay, null, frameIndex, fade);
+    const scrolled = lastFrame && lastFrame.state.screen === frame.state.screen &&
+      frame.state.scrollRows > lastFrame.state.scrollRows;
+    const steps = Math.min(smoothScrollSteps, Math.floor(delay / smoothScrollStepDelay));
+
+    if (config.scrollMode === 'smooth' && scrolled && steps > 1) {
+      const from = lastFrame.state.scrollRows;
+      for (let step = 1; step < steps; step++) {
+        const progress = step / steps;
+        const eased = 1 - Math.pow(1 - progress, 2);
+        frames.push(createFrame(lines, cursorLineIndex, smoothScrollStepDelay, from + (frame.state.scrollRows - from) * eased));
       }
-      lineIdx++;
+      frame.delay = delay - smoothScrollStepDelay * (steps - 1);
     }
 
-    if (lineIdx < parsedLines.length) {
-      frames.push(createFrame(
-        displayLines.map(l => ({ ...l })),
-        lineIdx,
-        150
-      ));
+    frames.push(frame);
+    lastFrame = frame;
+  };
+
+  // Frames of one play-through of `steps`, the last of which stays on screen until `end`.
+  // The last step landing on each frame tick is the one that frame shows.
+  const playThrough = (steps, end) => {
+    frames = [];
+    lastFrame = null;
+    const sampled = [];
+    for (const step of steps) {
+      const tick = tickOf(step.time);
+      if (sampled.length && sampled[sampled.length - 1].tick === tick) {
+        sampled[sampled.length - 1] = { ...step, tick };
+      } else {
+        sampled.push({ ...step, tick });
+      }
     }
-  }
 
-  // Final frame with cursor on new line
-  frames.push(createFrame(
-    displayLines.map(l => ({ ...l })),
-    parsedLines.length,
-    2000
-  ));
+    sampled.forEach((step, i) => {
+      const lines = timelineLines(parsedLines, step).map(({ complete, ...line }) => line);
+      const endTick = i === sampled.length - 1 ? tickOf(end) : sampled[i + 1].tick;
+      const delay = Math.max(tickTime(1), tickTime(endTick) - tickTime(step.tick));
+      // The finished terminal keeps the final frame index, so it's identical to createFinalFrameCanvas
+      const finished = step.line === parsedLines.length && step.fade === undefined;
+      pushFrame(lines, step.line, delay, finished ? FINAL_FRAME_INDEX : frames.length, step.fade);
+    });
+    return frames;
+  };
+
+  const full = repeat > 1 || finalEnding ? playThrough(timeline.steps, timeline.duration) : null;
+  const last = finalEnding
+    ? full
+    : playThrough(timeline.steps.slice(0, timeline.finishedIndex + 1), timeline.endingStart);
+  return [...Array.from({ length: repeat - 1 }, () => full).flat(), ...last];
+}
 
-  return frames;
+// The animation as a stream of frames drawn one at a time into a single reused canvas, so
+// memory stays at one frame however long the export is. All frames share the canvas size and
+// font scaling of the whole animation.
+//   count, width, height, delays  known up front, before anything is drawn
+//   renderFrame(index)            draws one frame (in any order) and returns the shared canvas
+//   frames()                      generator of { canvas, delay, index } in order
+// The canvas is redrawn by the next frame, so consumers read its pixels before moving on.
+// `frames` takes an edited generateFrameStates list (see FrameInspector) instead of generating one.
+export function createFrameSource(parsedLines, config, theme, options = {}) {
+  const {
+    targetWidth = null,
+    targetHeight = null,
+    scale = 2,
+    frames = null,
+  } = options;
+
+  const states = frames ?? generateFrameStates(parsedLines, config, options);
+  const layout = getExportLayout(parsedLines, config, theme, targetWidth, targetHeight, scale);
+  const canvas = createCanvas(layout.width, layout.height);
+
+  const renderFrame = (index) => createTerminalCanvas(layout.config, theme, states[index].state, {
+    scale,
+    fixedWidth: layout.width,
+    fixedHeight: layout.height,
+    canvas,
+  });
+
+  return {
+    count: states.length,
+    width: canvas.width,
+    height: canvas.height,
+    delays: states.map(frame => frame.delay),
+    renderFrame,
+    *frames() {
+      for (let index = 0; index < states.length; index++) {
+        yield { canvas: renderFrame(index), delay: states[index].delay, index };
+      }
+    },
+  };
 }
@@ -0,0 +1,170 @@
+// Export worker: rasterizes animation frames on OffscreenCanvas and runs the encoders, so
+// exports don't block the page. Driven by the pool in workerPool.js.
+import { createFrameSource, createCanvas, loadBackgroundImage } from './canvasRenderer';
+import { imageFormats } from './gifEncoder';
+import { createVideo } from './videoEncoder';
+
+// Fonts the page loads from a stylesheet aren't visible to workers, so the same @font-face
+// rules are fetched and registered here. Only faces of the export's font family are added;
+// the browser then downloads just the subsets the script's text needs.
+const loadedFontSheets = new Map();
+
+function registerFontFaces(cssUrl) {
+  if (!loadedFontSheets.has(cssUrl)) {
+    loadedFontSheets.set(cssUrl, fetch(cssUrl)
+      .then(response => response.text())
+      .then((css) => {
+        for (const block of css.match(/@font-face\s*{[^}]*}/g) || []) {
+          const family = /font-family:\s*['"]?([^;'"]+)/.exec(block)?.[1];
+          const src = /src:\s*([^;]+);/.exec(block)?.[1];
+          if (!family || !src) continue;
+
+          const descriptors = {};
+          const weight = /font-weight:\s*([^;]+);/.exec(block)?.[1];
+          const style = /font-style:\s*([^;]+);/.exec(block)?.[1];
+          const unicodeRange = /unicode-range:\s*([^;]+);/.exec(block)?.[1];
+          if (weight) descriptors.weight = weight.trim();
+          if (style) descriptors.style = style.trim();
+          if (unicodeRange) descriptors.unicodeRange = unicodeRange.trim();
+          self.fonts.add(new FontFace(family.trim(), src.trim(), descriptors));
+        }
+      })
+      .catch(() => {}));
+  }
+  return loadedFontSheets.get(cssUrl);
+}
+
+async function loadFonts(fontCssUrl, font, text) {
+  if (!fontCssUrl || !self.fonts || typeof FontFace === 'undefined') return;
+  await registerFontFaces(fontCssUrl);
+  try {
+    await Promise.all(['400', '700'].map(weight => self.fonts.load(`${weight} 16px ${font}`, text)));
+  } catch {
+    // Fall back to whatever font is available rather than failing the export
+  }
+}
+
+async function prepare({ parsedLines, config, fontCssUrl }) {
+  const text = parsedLines.map(line => line.text).join('') + (config.promptText || '');
+  await loadFonts(fontCssUrl, config.font || 'monospace', text);
+  await loadBackgroundImage(config.backgroundImage);
+}
+
+// Render worker: draws the frames the encoder asks for over `port`, one at a time into its own
+// reused canvas, and hands each one over as an ImageBitmap
+async function serveFrames(payload) {
+  const { port, parsedLines, config, theme, frameOptions } = payload;
+  await prepare(payload);
+  const source = createFrameSource(parsedLines, config, theme, frameOptions);
+
+  port.onmessage = ({ data }) => {
+    if (data.close) {
+      port.close();
+      return;
+    }
+    try {
+      const image = source.renderFrame(data.index).transferToImageBitmap();
+      port.postMessage({ index: data.index, image }, [image]);
+    } catch (e) {
+      port.postMessage({ index: data.index, error: e.message });
+    }
+  };
+  return { result: null, transfer: [] };
+}
+
+// A frame source whose frames are drawn by render workers on the other end of `ports`.
+// A few frames are requested ahead so every worker stays busy; only those are in flight.
+function createRemoteFrameSource(local, ports) {
+  const canvas = createCanvas(local.width, local.height);
+  const ctx = canvas.getContext('2d');
+  const pending = new Map();
+
+  for (const port of ports) {
+    port.onmessage = ({ data }) => {
+      const request = pending.get(data.index);
+      pending.delete(data.index);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.image);
+      }
+    };
+  }
+
+  const request = index => new Promise((resolve, reject) => {
+    pending.set(index, { resolve, reject });
+    ports[index % ports.length].postMessage({ index });
+  });
+
+  const draw = async (imageRequest) => {
+    const image = await imageRequest;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0);
+    image.close();
+    return canvas;
+  };
+
+  return {
+    count: local.count,
+    width: local.width,
+    height: local.height,
+    delays: local.delays,
+    renderFrame: index => draw(request(index)),
+    async *frames() {
+      const lookahead = ports.length * 2;
+      const requests = [];
+      for (let index = 0; index < Math.min(lookahead, local.count); index++) {
+        requests.push(request(index));
+      }
+      for (let index = 0; index < local.count; index++) {
+        const imageRequest = requests.shift();
+        if (index + lookahead < local.count) {
+          requests.push(request(index + lookahead));
+        }
+        yield { canvas: await draw(imageRequest), delay: local.delays[index], index };
+      }
+    },
+    close() {
+      ports.forEach(port => port.postMessage({ close: true }));
+    },
+  };
+}
+
+const encoders = {
+  ...Object.fromEntries(Object.entries(imageFormats).map(([key, format]) => [key, format.encode])),
+  video: (source, options) => createVideo(source, { ...options, recorderFallback: false }),
+};
+
+// Encode worker: streams frames (drawn here, or by render workers when `ports` are given)
+// into one of the encoders
+async function encodeFrames(payload, report) {
+  const { encoder, parsedLines, config, theme, frameOptions, ports, options } = payload;
+  await prepare(payload);
+
+  const local = createFrameSource(parsedLines, config, theme, frameOptions);
+  const source = ports.length ? createRemoteFrameSource(local, ports) : local;
+  try {
+    const blob = await encoders[encoder](source, {
+      ...options,
+      onProgress: value => report({ type: 'progress', value }),
+      onStats: stats => report({ type: 'stats', stats }),
+    });
+    return { result: blob, transfer: [] };
+  } finally {
+    if (source.close) source.close();
+  }
+}
+
+const tasks = { render: serveFrames, encode: encodeFrames };
+
+self.onmessage = async ({ data }) => {
+  const { id, type, payload } = data;
+  const report = message => self.postMessage({ id, ...message });
+
+  try {
+    const { result, transfer } = await tasks[type](payload, report);
+    self.postMessage({ id, type: 'done', result }, transfer);
+  } catch (e) {
+    report({ type: 'error', message: e.message, name: e.name });
+  }
+};
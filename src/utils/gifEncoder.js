@@ -1,34 +1,209 @@
-// GIF Encoder using gifenc library
+// GIF Encoder using gifenc library, plus APNG and animated WebP.
+// Every encoder consumes a frame source (see createFrameSource in canvasRenderer.js) one frame
+// at a time, reading the shared canvas before asking for the next frame.
 import { GIFEncoder, quantize, applyPalette } from 'gifenc';
 
-export async function createGIF(frames, options = {}) {
-  const { onProgress } = options;
+// gifenc takes delays in ms and stores centiseconds; browsers slow down anything under 20ms
+function gifDelay(delay) {
+  return Math.max(20, Math.round(delay));
+}
 
-  if (!frames || frames.length === 0) {
-    throw new Error('No frames provided');
+// NETSCAPE repeat counts extra plays, -1 leaves the extension out
+function gifRepeat(loop) {
+  return loop === 0 ? 0 : loop === 1 ? -1 : loop - 1;
+}
+
+function readPixels(canvas) {
+  const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  return new Uint32Array(data.buffer);
+}
+
+// One palette for the whole animation, quantized from every other pixel of up to 8 frames
+// spread across it (the last frame always included, it has the most text on screen)
+async function samplePalette(source, colors) {
+  const picks = new Set();
+  const count = Math.min(source.count, 8);
+  for (let i = 0; i < count; i++) {
+    picks.add(Math.round(i * (source.count - 1) / Math.max(1, count - 1)));
   }
 
-  const firstCanvas = frames[0].canvas;
-  const gif = GIFEncoder();
+  const sample = new Uint32Array(picks.size * Math.ceil(source.width * source.height / 2));
+  let offset = 0;
+  for (const index of picks) {
+    const pixels = readPixels(await source.renderFrame(index));
+    for (let i = 0; i < pixels.length; i += 2) {
+      sample[offset++] = pixels[i];
+    }
+  }
+  return quantize(new Uint8Array(sample.buffer), colors);
+}
 
-  for (let i = 0; i < frames.length; i++) {
-    const frame = frames[i];
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+// Ordered dithering: the pattern is fixed to frame coordinates, so unchanged pixels stay
+// unchanged and frame diffing keeps working. `x0`/`y0` place a crop within the frame.
+function ditherPixels(pixels, width, x0, y0, colors) {
+  const spread = 255 / Math.cbrt(colors);
+  const out = new Uint32Array(pixels.length);
+  for (let i = 0; i < pixels.length; i++) {
+    const x = x0 + (i % width);
+    const y = y0 + Math.floor(i / width);
+    const offset = (BAYER_4X4[(y & 3) * 4 + (x & 3)] / 16 - 0.5) * spread;
+    const pixel = pixels[i];
+    const r = Math.min(255, Math.max(0, (pixel & 0xff) + offset));
+    const g = Math.min(255, Math.max(0, ((pixel >> 8) & 0xff) + offset));
+    const b = Math.min(255, Math.max(0, ((pixel >> 16) & 0xff) + offset));
+    out[i] = (pixel & 0xff000000) | (b << 16) | (g << 8) | r;
+  }
+  return out;
+}
+
+// Bounding box of the pixels that differ from the previous frame, null when nothing changed
+function dirtyRect(current, previous, width, height) {
+  let top = height;
+  let bottom = -1;
+  let left = width;
+  let right = -1;
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      if (current[row + x] !== previous[row + x]) {
+        if (y < top) top = y;
+        bottom = y;
+        if (x < left) left = x;
+        if (x > right) right = x;
+      }
+    }
+  }
+  return bottom < 0 ? null : { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+// Palette indexes for `rect`, with pixels unchanged since `previous` left transparent.
+// Changed pixels only map to the colors before `transparentIndex`, so none of them can
+// turn transparent by landing on the placeholder color in its slot.
+function cropIndexes(current, previous, frameWidth, rect, palette, transparentIndex, dither) {
+  const colors = palette.slice(0, transparentIndex);
+  let crop = new Uint32Array(rect.width * rect.height);
+  for (let y = 0; y < rect.height; y++) {
+    const start = (rect.y + y) * frameWidth + rect.x;
+    crop.set(current.subarray(start, start + rect.width), y * rect.width);
+  }
+  if (dither) {
+    crop = ditherPixels(crop, rect.width, rect.x, rect.y, colors.length);
+  }
+
+  const indexes = applyPalette(new Uint8Array(crop.buffer), colors);
+  if (previous) {
+    for (let y = 0; y < rect.height; y++) {
+      const start = (rect.y + y) * frameWidth + rect.x;
+      for (let x = 0; x < rect.width; x++) {
+        if (current[start + x] === previous[start + x]) {
+          indexes[y * rect.width + x] = transparentIndex;
+        }
+      }
+    }
+  }
+  return indexes;
+}
+
+// Optimized encoding: a shared global palette, identical consecutive frames merged into one
+// longer frame, and every later frame cropped to its changed region with unchanged pixels
+// transparent over the frame before it
+async function encodeOptimizedGIF(gif, source, { loop, colors, dither, signal, onProgress }) {
+  const { width, height } = source;
+  // One slot stays free for the transparent index
+  const palette = await samplePalette(source, colors - 1);
+  const transparentIndex = palette.length;
+  palette.push([0, 0, 0]);
+
+  let written = 0;
+  let firstFrameBytes = 0;
+  const write = ({ indexes, rect, delay }) => {
+    const first = written === 0;
+    const start = gif.bytesView().length;
+    gif.writeFrame(indexes, rect.width, rect.height, {
+      palette: first ? palette : null,
+      delay: gifDelay(delay),
+      repeat: gifRepeat(loop),
+      transparent: !first,
+      transparentIndex,
+      dispose: 1,
+    });
+
+    if (first) {
+      firstFrameBytes = gif.bytesView().length;
+    } else {
+      // gifenc always places frames at 0,0: patch the image descriptor that follows the
+      // 8-byte graphic control extension
+      const bytes = gif.bytesView();
+      bytes[start + 9] = rect.x & 0xff;
+      bytes[start + 10] = rect.x >> 8;
+      bytes[start + 11] = rect.y & 0xff;
+      bytes[start + 12] = rect.y >> 8;
+    }
+    written++;
+  };
+
+  // Pixels are copied out of the shared canvas, so only this frame and the last one are kept
+  let previous = null;
+  let pending = null;
+  for await (const frame of source.frames()) {
+    signal?.throwIfAborted();
+    const i = frame.index;
+    const current = readPixels(frame.canvas);
+    const rect = previous ? dirtyRect(current, previous, width, height) : { x: 0, y: 0, width, height };
+
+    if (!rect) {
+      pending.delay += frame.delay;
+    } else {
+      if (pending) write(pending);
+      pending = {
+        indexes: cropIndexes(current, previous, width, rect, palette, transparentIndex, dither),
+        rect,
+        delay: frame.delay,
+      };
+      previous = current;
+    }
+
+    if (onProgress) {
+      onProgress((i + 1) / source.count);
+    }
+
+    // Yield to prevent UI blocking
+    if (i % 5 === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  write(pending);
+
+  return {
+    writtenFrames: written,
+    // The full first frame (header and palette included) stands in for what every frame
+    // would cost unoptimized
+    estimatedFullBytes: firstFrameBytes * source.count,
+  };
+}
+
+// Every frame full size with its own quantized palette
+async function encodeFullFrameGIF(gif, source, { loop, colors, dither, signal, onProgress }) {
+  for await (const frame of source.frames()) {
+    signal?.throwIfAborted();
+    const i = frame.index;
     const canvas = frame.canvas;
-    const ctx = canvas.getContext('2d');
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const { data } = imageData;
+    const pixels = readPixels(canvas);
 
-    const palette = quantize(data, 256);
-    const indexedPixels = applyPalette(data, palette);
-    const delay = Math.round(frame.delay / 10); // Convert ms to centiseconds
+    const palette = quantize(new Uint8Array(pixels.buffer), colors);
+    const mapped = dither ? ditherPixels(pixels, canvas.width, 0, 0, palette.length) : pixels;
+    const indexedPixels = applyPalette(new Uint8Array(mapped.buffer), palette);
 
     gif.writeFrame(indexedPixels, canvas.width, canvas.height, {
       palette,
-      delay: Math.max(2, delay),
+      delay: gifDelay(frame.delay),
+      repeat: gifRepeat(loop),
     });
 
     if (onProgress) {
-      onProgress((i + 1) / frames.length);
+      onProgress((i + 1) / source.count);
     }
 
     // Yield to prevent UI blocking
@@ -37,9 +212,231 @@ export async function createGIF(frames, options = {}) {
     }
   }
 
+  return { writtenFrames: source.count, estimatedFullBytes: null };
+}
+
+// `loop` everywhere: 0 plays forever, n plays n times. `colors` caps the palette size.
+// `onStats` receives { bytes, estimatedFullBytes, frames, writtenFrames } once encoding is done.
+// Every encoder stops with an AbortError once `signal` is aborted.
+export async function createGIF(source, options = {}) {
+  const { onProgress, onStats, signal, loop = 0, optimize = true, colors = 256, dither = false } = options;
+
+  if (!source || source.count === 0) {
+    throw new Error('No frames provided');
+  }
+
+  const gif = GIFEncoder();
+  const encode = optimize ? encodeOptimizedGIF : encodeFullFrameGIF;
+  const { writtenFrames, estimatedFullBytes } = await encode(gif, source, { loop, colors, dither, signal, onProgress });
+
   gif.finish();
   const bytes = gif.bytes();
+  if (onStats) {
+    onStats({ bytes: bytes.length, estimatedFullBytes, frames: source.count, writtenFrames });
+  }
   return new Blob([bytes], { type: 'image/gif' });
 }
 
+// Full-color formats reuse the browser's own PNG/WebP encoder for each frame and
+// rewrite the resulting chunks into an animation container
+async function encodeCanvas(canvas, type, quality) {
+  // OffscreenCanvas (in the export worker) has convertToBlob instead of toBlob
+  const blob = canvas.convertToBlob
+    ? await canvas.convertToBlob({ type, quality })
+    : await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+
+  // Browsers without an encoder for `type` silently fall back to PNG
+  if (!blob || blob.type !== type) {
+    throw new Error(`This browser can't encode ${type}`);
+  }
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+const textEncoder = new TextEncoder();
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function readPngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(textEncoder.encode(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+function uint32(...values) {
+  const bytes = new Uint8Array(values.length * 4);
+  values.forEach((value, i) => new DataView(bytes.buffer).setUint32(i * 4, value));
+  return bytes;
+}
+
+export async function createAPNG(source, options = {}) {
+  const { onProgress, signal, loop = 0 } = options;
+
+  if (!source || source.count === 0) {
+    throw new Error('No frames provided');
+  }
+
+  const { width, height } = source;
+  const parts = [PNG_SIGNATURE];
+  let sequence = 0;
+
+  for await (const frame of source.frames()) {
+    signal?.throwIfAborted();
+    const i = frame.index;
+    const chunks = readPngChunks(await encodeCanvas(frame.canvas, 'image/png'));
+
+    if (i === 0) {
+      parts.push(pngChunk('IHDR', chunks.find(c => c.type === 'IHDR').data));
+      parts.push(pngChunk('acTL', uint32(source.count, loop)));
+    }
+
+    // Delays are a fraction; centiseconds keep long holds within 16 bits
+    const delay = Math.max(10, Math.round(frame.delay));
+    const [numerator, denominator] = delay <= 0xffff ? [delay, 1000] : [Math.min(0xffff, Math.round(delay / 10)), 100];
+    const fcTL = new Uint8Array(26);
+    const view = new DataView(fcTL.buffer);
+    view.setUint32(0, sequence++);
+    view.setUint32(4, width);
+    view.setUint32(8, height);
+    view.setUint16(20, numerator);
+    view.setUint16(22, denominator);
+    // x/y offsets, dispose_op and blend_op (source) stay 0: every frame replaces the whole image
+    parts.push(pngChunk('fcTL', fcTL));
+
+    for (const chunk of chunks.filter(c => c.type === 'IDAT')) {
+      if (i === 0) {
+        parts.push(pngChunk('IDAT', chunk.data));
+      } else {
+        const fdAT = new Uint8Array(4 + chunk.data.length);
+        new DataView(fdAT.buffer).setUint32(0, sequence++);
+        fdAT.set(chunk.data, 4);
+        parts.push(pngChunk('fdAT', fdAT));
+      }
+    }
+
+    if (onProgress) {
+      onProgress((i + 1) / source.count);
+    }
+  }
+
+  parts.push(pngChunk('IEND', new Uint8Array(0)));
+  return new Blob(parts, { type: 'image/apng' });
+}
+
+function readWebPChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  for (let offset = 12; offset + 8 <= bytes.length;) {
+    const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const length = view.getUint32(offset + 4, true);
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset += 8 + length + (length % 2);
+  }
+  return chunks;
+}
+
+function webpChunk(type, parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const header = new Uint8Array(8);
+  header.set(textEncoder.encode(type));
+  new DataView(header.buffer).setUint32(4, length, true);
+  const chunk = [header, ...parts];
+  if (length % 2) chunk.push(new Uint8Array(1));
+  return chunk;
+}
+
+function uint24(bytes, offset, value) {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >> 8) & 0xff;
+  bytes[offset + 2] = (value >> 16) & 0xff;
+}
+
+// `quality` below 1 switches to lossy frames
+export async function createAnimatedWebP(source, options = {}) {
+  const { onProgress, signal, loop = 0, quality = 1 } = options;
+
+  if (!source || source.count === 0) {
+    throw new Error('No frames provided');
+  }
+
+  const { width, height } = source;
+  const frameChunks = [];
+
+  for await (const frame of source.frames()) {
+    signal?.throwIfAborted();
+    const i = frame.index;
+    // Quality 1 selects the lossless encoder
+    const chunks = readWebPChunks(await encodeCanvas(frame.canvas, 'image/webp', quality));
+
+    const header = new Uint8Array(16);
+    uint24(header, 6, width - 1);
+    uint24(header, 9, height - 1);
+    uint24(header, 12, Math.min(0xffffff, Math.round(frame.delay)));
+    header[15] = 0x02; // no blending, no disposal: every frame replaces the whole image
+
+    // Only the bitstream (and its alpha) belongs in the frame
+    const image = chunks
+      .filter(c => c.type === 'ALPH' || c.type === 'VP8 ' || c.type === 'VP8L')
+      .flatMap(c => webpChunk(c.type, [c.data]));
+    frameChunks.push(...webpChunk('ANMF', [header, ...image]));
+
+    if (onProgress) {
+      onProgress((i + 1) / source.count);
+    }
+  }
+
+  const vp8x = new Uint8Array(10);
+  vp8x[0] = 0x12; // alpha and animation
+  uint24(vp8x, 4, width - 1);
+  uint24(vp8x, 7, height - 1);
+
+  const anim = new Uint8Array(6);
+  new DataView(anim.buffer).setUint16(4, loop, true);
+
+  const body = [textEncoder.encode('WEBP'), ...webpChunk('VP8X', [vp8x]), ...webpChunk('ANIM', [anim]), ...frameChunks];
+  const riff = new Uint8Array(8);
+  riff.set(textEncoder.encode('RIFF'));
+  new DataView(riff.buffer).setUint32(4, body.reduce((sum, part) => sum + part.length, 0), true);
+
+  return new Blob([riff, ...body], { type: 'image/webp' });
+}
+
+// Animated image formats offered in the Export tab
+export const imageFormats = {
+  gif: { label: 'GIF', extension: 'gif', encode: createGIF },
+  apng: { label: 'APNG', extension: 'png', encode: createAPNG },
+  webp: { label: 'WebP', extension: 'webp', encode: createAnimatedWebP },
+};
+
 export default createGIF;
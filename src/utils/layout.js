@@ -0,0 +1,162 @@
+// Character-cell layout shared by the DOM preview and the canvas renderer.
+// Lines are laid out on a grid of fixed-width cells: soft wrapping at `columns`,
+// tab stops, double-width East Asian/emoji glyphs and zero-width combining marks.
+import { emptyStyle } from './ansi';
+
+// Sorted [start, end] code point ranges
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x231a, 0x231b], [0x2329, 0x232a], [0x23e9, 0x23ec], [0x23f0, 0x23f0],
+  [0x23f3, 0x23f3], [0x25fd, 0x25fe], [0x2614, 0x2615], [0x2648, 0x2653], [0x267f, 0x267f],
+  [0x2693, 0x2693], [0x26a1, 0x26a1], [0x26aa, 0x26ab], [0x26bd, 0x26be], [0x26c4, 0x26c5],
+  [0x26ce, 0x26ce], [0x26d4, 0x26d4], [0x26ea, 0x26ea], [0x26f2, 0x26f3], [0x26f5, 0x26f5],
+  [0x26fa, 0x26fa], [0x26fd, 0x26fd], [0x2705, 0x2705], [0x270a, 0x270b], [0x2728, 0x2728],
+  [0x274c, 0x274c], [0x274e, 0x274e], [0x2753, 0x2755], [0x2757, 0x2757], [0x2795, 0x2797],
+  [0x27b0, 0x27b0], [0x27bf, 0x27bf], [0x2b1b, 0x2b1c], [0x2b50, 0x2b50], [0x2b55, 0x2b55],
+  [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xa000, 0xa4cf],
+  [0xa960, 0xa97f], [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f],
+  [0xff00, 0xff60], [0xffe0, 0xffe6], [0x1f004, 0x1f004], [0x1f0cf, 0x1f0cf], [0x1f18e, 0x1f18e],
+  [0x1f191, 0x1f19a], [0x1f200, 0x1f251], [0x1f300, 0x1f3fa], [0x1f400, 0x1f64f], [0x1f680, 0x1f6ff],
+  [0x1f7e0, 0x1f7eb], [0x1f900, 0x1f9ff], [0x1fa70, 0x1faff], [0x20000, 0x3fffd],
+];
+
+const ZERO_WIDTH_RANGES = [
+  [0x0300, 0x036f], [0x0483, 0x0489], [0x0591, 0x05bd], [0x0610, 0x061a], [0x064b, 0x065f],
+  [0x0e31, 0x0e31], [0x0e34, 0x0e3a], [0x0e47, 0x0e4e], [0x1ab0, 0x1aff], [0x1dc0, 0x1dff],
+  [0x200b, 0x200f], [0x2028, 0x202e], [0x2060, 0x2064], [0x20d0, 0x20ff], [0xfe00, 0xfe0f],
+  [0xfe20, 0xfe2f], [0xfeff, 0xfeff], [0x1f3fb, 0x1f3ff], [0xe0000, 0xe0fff],
+];
+
+function inRanges(codePoint, ranges) {
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (codePoint < ranges[mid][0]) {
+      high = mid - 1;
+    } else if (codePoint > ranges[mid][1]) {
+      low = mid + 1;
+    } else {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Cells taken by one code point: 0 (combining/zero-width/control), 1 or 2 (wide)
+export function charWidth(codePoint) {
+  if (codePoint < 0x20 || (codePoint >= 0x7f && codePoint < 0xa0)) return 0;
+  if (codePoint < 0x300) return 1;
+  if (inRanges(codePoint, ZERO_WIDTH_RANGES)) return 0;
+  return inRanges(codePoint, WIDE_RANGES) ? 2 : 1;
+}
+
+export function stringWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    width += char === '\t' ? 1 : charWidth(char.codePointAt(0));
+  }
+  return width;
+}
+
+// Layout settings from the app config; `columns` 0 means no soft wrapping
+export function getLayoutOptions(config) {
+  return {
+    promptText: config.promptText || '',
+    columns: config.columns > 0 ? config.columns : 0,
+    tabSize: config.tabSize > 0 ? config.tabSize : 8,
+  };
+}
+
+// Lay out styled pieces ({ text, style, kind }) into rows of runs.
+// A run is { col, cells, text, style, kind, wide } and never spans a style change or a wide glyph.
+function layoutPieces(pieces, columns, tabSize) {
+  const rows = [[]];
+  let col = 0;
+  let run = null;
+
+  const newRow = () => {
+    rows.push([]);
+    col = 0;
+    run = null;
+  };
+
+  const place = (text, cells, piece, wide) => {
+    if (columns && col + cells > columns && col > 0) {
+      newRow();
+    }
+    const row = rows[rows.length - 1];
+    if (wide || !run || run.wide || run.style !== piece.style || run.kind !== piece.kind) {
+      run = { col, cells: 0, text: '', style: piece.style, kind: piece.kind, wide };
+      row.push(run);
+    }
+    run.text += text;
+    run.cells += cells;
+    col += cells;
+    // Keep following narrow glyphs out of a wide glyph's run
+    if (wide) run = null;
+  };
+
+  for (const piece of pieces) {
+    for (const char of piece.text) {
+      if (char === '\t') {
+        // Tabs expand to spaces up to the next stop (clamped to the row)
+        let stop = (Math.floor(col / tabSize) + 1) * tabSize;
+        if (columns) stop = Math.min(stop, columns);
+        const spaces = Math.max(1, stop - col);
+        place(' '.repeat(spaces), spaces, piece, false);
+        continue;
+      }
+
+      const width = charWidth(char.codePointAt(0));
+      if (width === 0) {
+        // Combining marks join the previous glyph without taking a cell
+        const row = rows[rows.length - 1];
+        const last = row[row.length - 1];
+        if (last) last.text += char;
+        continue;
+      }
+
+      place(char, width, piece, width === 2);
+    }
+  }
+
+  return { rows, col };
+}
+
+// Lay out one display line ({ text, segments, showPrompt }) including its prompt.
+// Returns the rows of runs, the cursor cell after the text and the widest row in cells.
+export function layoutLine(line, options) {
+  const { promptText, columns, tabSize } = options;
+  const rows = [];
+
+  const pieces = [];
+  if (line.showPrompt && promptText) {
+    const promptParts = promptText.split('\n');
+    // Leading parts of a multi-line prompt are rows of their own
+    for (const part of promptParts.slice(0, -1)) {
+      rows.push(...layoutPieces([{ text: part, style: emptyStyle, kind: 'prompt' }], columns, tabSize).rows);
+    }
+    pieces.push({ text: promptParts[promptParts.length - 1], style: emptyStyle, kind: 'prompt' });
+  }
+
+  const segments = line.segments || [{ text: line.text || '', style: emptyStyle }];
+  for (const segment of segments) {
+    pieces.push({ text: segment.text, style: segment.style, kind: 'text' });
+  }
+
+  const laidOut = layoutPieces(pieces, columns, tabSize);
+  rows.push(...laidOut.rows);
+
+  // Like a real terminal, a full row leaves the cursor on its last cell
+  const cursorCol = columns ? Math.min(laidOut.col, columns - 1) : laidOut.col;
+  const width = Math.max(0, ...rows.map(row => row.reduce((sum, r) => sum + r.cells, 0)));
+
+  return {
+    rows,
+    cursor: { row: rows.length - 1, col: cursorCol },
+    width,
+  };
+}
+
+// The line holding only the prompt, drawn when the animation is complete
+export const promptOnlyLine = { text: '', segments: [], showPrompt: true };
@@ -0,0 +1,65 @@
+// Inline color/style markup for the script editor, e.g. `{bold}{red}CRITICAL{/}`
+// Tags are translated to SGR escapes so ANSI parsing produces the segments.
+// `{<<}` is a typo correction: one backspace per `<`.
+import { ansiColorNames } from './themes';
+import { BACKSPACE } from './typing';
+
+const ESC = '\x1b[';
+
+const styleCodes = {
+  bold: [1, 22],
+  dim: [2, 22],
+  italic: [3, 23],
+  underline: [4, 24],
+  inverse: [7, 27],
+};
+
+const TAG_PATTERN = /\\([{}])|\{(<+)\}|\{(\/?)(bg:)?([a-zA-Z-]+|#[0-9a-fA-F]{6}|#[0-9a-fA-F]{3})?\}/g;
+
+function colorIndex(name) {
+  // Accept brightBlue, bright-blue and brightblue
+  const normalized = name.replace(/-/g, '').toLowerCase();
+  return ansiColorNames.findIndex(n => n.toLowerCase() === normalized);
+}
+
+function hexToRgb(hex) {
+  const value = hex.length === 4 ? hex.slice(1).replace(/./g, c => c + c) : hex.slice(1);
+  return [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+}
+
+// SGR parameters for a tag, or null when the tag isn't recognized (it is then kept as text)
+function tagToSgr(closing, background, name) {
+  if (!name) {
+    return closing && !background ? '0' : null;
+  }
+
+  if (!background && styleCodes[name.toLowerCase()]) {
+    const [on, off] = styleCodes[name.toLowerCase()];
+    return String(closing ? off : on);
+  }
+
+  if (name.startsWith('#')) {
+    if (closing) return background ? '49' : '39';
+    return `${background ? 48 : 38};2;${hexToRgb(name).join(';')}`;
+  }
+
+  const index = colorIndex(name);
+  if (index === -1) return null;
+  if (closing) return background ? '49' : '39';
+
+  const base = background ? 40 : 30;
+  return String(index < 8 ? base + index : base + 60 + index - 8);
+}
+
+// Replace markup tags with SGR escapes. `\{` and `\}` produce literal braces,
+// unknown tags such as `{"json": true}` or `{foo}` are left untouched.
+export function markupToAnsi(text) {
+  if (!text.includes('{') && !text.includes('\\')) return text;
+
+  return text.replace(TAG_PATTERN, (match, escaped, backspaces, closing, background, name) => {
+    if (escaped) return escaped;
+    if (backspaces) return BACKSPACE.repeat(backspaces.length);
+    const sgr = tagToSgr(Boolean(closing), Boolean(background), name);
+    return sgr === null ? match : `${ESC}${sgr}m`;
+  });
+}
@@ -0,0 +1,200 @@
+// Minimal MP4 muxer for WebCodecs output. Samples are collected in memory and written on finish
+// with the movie header first (fast start), one sample per chunk, interleaved by time.
+const textEncoder = new TextEncoder();
+
+function u8(value) {
+  return new Uint8Array([value & 0xff]);
+}
+
+function u16(value) {
+  const bytes = new Uint8Array(2);
+  new DataView(bytes.buffer).setUint16(0, value);
+  return bytes;
+}
+
+function u32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value);
+  return bytes;
+}
+
+function zeros(length) {
+  return new Uint8Array(length);
+}
+
+function fourCC(type) {
+  return textEncoder.encode(type);
+}
+
+// Boxes are flat lists of byte arrays, so encoded samples are never copied before the final Blob
+function partsSize(parts) {
+  return parts.reduce((sum, part) => sum + part.byteLength, 0);
+}
+
+function box(type, children = []) {
+  const parts = children.flat(Infinity);
+  return [u32(8 + partsSize(parts)), fourCC(type), ...parts];
+}
+
+function fullBox(type, version, flags, children = []) {
+  return box(type, [u8(version), u8(flags >> 16), u8(flags >> 8), u8(flags), children]);
+}
+
+// Identity transform used by the movie and track headers
+const MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].map(u32);
+
+function sampleEntry(track) {
+  if (track.type === 'video') {
+    return box('avc1', [
+      zeros(6), u16(1), // reserved, data_reference_index
+      zeros(16), // pre_defined, reserved
+      u16(track.width), u16(track.height),
+      u32(0x00480000), u32(0x00480000), // 72 dpi
+      zeros(4), u16(1), // reserved, frame_count
+      zeros(32), // compressorname
+      u16(0x0018), u16(0xffff), // depth, pre_defined
+      box('avcC', [track.description]),
+    ]);
+  }
+
+  // AAC: the decoder config goes into an ES descriptor
+  const descriptor = (tag, children) => {
+    const parts = children.flat(Infinity);
+    return [u8(tag), u8(partsSize(parts)), ...parts];
+  };
+  return box('mp4a', [
+    zeros(6), u16(1),
+    zeros(8), // reserved
+    u16(track.channels), u16(16), // channelcount, samplesize
+    zeros(4), // pre_defined, reserved
+    u32(track.sampleRate * 65536),
+    fullBox('esds', 0, 0, [
+      descriptor(0x03, [ // ES_Descriptor
+        u16(1), u8(0),
+        descriptor(0x04, [ // DecoderConfigDescriptor
+          u8(0x40), u8(0x15), // AAC audio stream
+          zeros(3), u32(0), u32(0), // buffer size, max/avg bitrate
+          descriptor(0x05, [track.description]), // DecoderSpecificInfo
+        ]),
+        descriptor(0x06, [u8(2)]), // SLConfigDescriptor
+      ]),
+    ]),
+  ]);
+}
+
+// Run-length encoded sample durations
+function timeToSample(samples) {
+  const entries = [];
+  for (const sample of samples) {
+    const last = entries[entries.length - 1];
+    if (last && last.duration === sample.duration) {
+      last.count++;
+    } else {
+      entries.push({ count: 1, duration: sample.duration });
+    }
+  }
+  return fullBox('stts', 0, 0, [u32(entries.length), entries.map(e => [u32(e.count), u32(e.duration)])]);
+}
+
+function trackBox(track, trackId, movieTimescale) {
+  const { samples, timescale } = track;
+  const duration = samples.reduce((sum, s) => sum + s.duration, 0);
+  const isVideo = track.type === 'video';
+
+  const stbl = [
+    fullBox('stsd', 0, 0, [u32(1), sampleEntry(track)]),
+    timeToSample(samples),
+    fullBox('stsc', 0, 0, [u32(1), u32(1), u32(1), u32(1)]), // one sample per chunk
+    fullBox('stsz', 0, 0, [u32(0), u32(samples.length), samples.map(s => u32(s.size))]),
+    fullBox('stco', 0, 0, [u32(samples.length), samples.map(s => u32(s.offset))]),
+  ];
+  if (isVideo) {
+    const keyframes = samples.map((s, i) => (s.keyframe ? i + 1 : 0)).filter(Boolean);
+    stbl.splice(2, 0, fullBox('stss', 0, 0, [u32(keyframes.length), keyframes.map(u32)]));
+  }
+
+  return box('trak', [
+    fullBox('tkhd', 0, 3, [
+      zeros(8), u32(trackId), zeros(4), // creation/modification time, track_ID, reserved
+      u32(Math.round(duration * movieTimescale / timescale)),
+      zeros(8), u16(0), u16(0), // reserved, layer, alternate_group
+      u16(isVideo ? 0 : 0x0100), zeros(2), // volume, reserved
+      MATRIX,
+      u32((isVideo ? track.width : 0) * 65536), u32((isVideo ? track.height : 0) * 65536),
+    ]),
+    box('mdia', [
+      fullBox('mdhd', 0, 0, [zeros(8), u32(timescale), u32(duration), u16(0x55c4), u16(0)]), // language 'und'
+      fullBox('hdlr', 0, 0, [
+        zeros(4), fourCC(isVideo ? 'vide' : 'soun'), zeros(12),
+        textEncoder.encode(isVideo ? 'VideoHandler\0' : 'SoundHandler\0'),
+      ]),
+      box('minf', [
+        isVideo ? fullBox('vmhd', 0, 1, [zeros(8)]) : fullBox('smhd', 0, 0, [zeros(4)]),
+        box('dinf', [fullBox('dref', 0, 0, [u32(1), fullBox('url ', 0, 1)])]),
+        box('stbl', stbl),
+      ]),
+    ]),
+  ]);
+}
+
+// `tracks`: [{ type: 'video', width, height }] and/or [{ type: 'audio', sampleRate, channels }].
+// The codec description (avcC or AudioSpecificConfig) arrives with the first chunk from WebCodecs.
+export function createMp4Muxer({ tracks }) {
+  const movieTimescale = 1000;
+  const chunks = [];
+  for (const track of tracks) {
+    track.timescale = track.type === 'video' ? 90000 : track.sampleRate;
+  }
+
+  return {
+    // `timestamp` and `duration` in microseconds
+    addChunk(trackIndex, data, { timestamp, duration = 0, keyframe = true, description = null }) {
+      if (description && !tracks[trackIndex].description) {
+        tracks[trackIndex].description = description;
+      }
+      chunks.push({ trackIndex, data, timestamp, duration, keyframe, order: chunks.length });
+    },
+
+    finish() {
+      chunks.sort((a, b) => a.timestamp - b.timestamp || a.order - b.order);
+
+      // Sample durations come from the next sample's timestamp, the last one keeps its own
+      for (const [trackIndex, track] of tracks.entries()) {
+        const trackChunks = chunks.filter(c => c.trackIndex === trackIndex);
+        track.samples = trackChunks.map((chunk, i) => {
+          const next = trackChunks[i + 1];
+          const micros = next ? next.timestamp - chunk.timestamp : chunk.duration;
+          chunk.sample = {
+            size: chunk.data.byteLength,
+            duration: Math.max(1, Math.round(micros * track.timescale / 1e6)),
+            keyframe: chunk.keyframe,
+            offset: 0,
+          };
+          return chunk.sample;
+        });
+      }
+
+      const duration = Math.max(0, ...tracks.map(track =>
+        track.samples.reduce((sum, s) => sum + s.duration, 0) * movieTimescale / track.timescale));
+      const ftyp = box('ftyp', [fourCC('isom'), u32(0x200), fourCC('isom'), fourCC('iso2'), fourCC('avc1'), fourCC('mp41')]);
+      const moov = () => box('moov', [
+        fullBox('mvhd', 0, 0, [
+          zeros(8), u32(movieTimescale), u32(Math.round(duration)),
+          u32(0x00010000), u16(0x0100), zeros(10), // rate, volume, reserved
+          MATRIX, zeros(24), u32(tracks.length + 1), // pre_defined, next_track_ID
+        ]),
+        tracks.map((track, i) => trackBox(track, i + 1, movieTimescale)),
+      ]);
+
+      // Offsets don't change the size of the movie header, so measure it first and then fill them in
+      let offset = partsSize(ftyp) + partsSize(moov()) + 8;
+      for (const chunk of chunks) {
+        chunk.sample.offset = offset;
+        offset += chunk.data.byteLength;
+      }
+
+      const mdatSize = offset - partsSize(ftyp) - partsSize(moov());
+      return new Blob([...ftyp, ...moov(), u32(mdatSize), fourCC('mdat'), ...chunks.map(c => c.data)], { type: 'video/mp4' });
+    },
+  };
+}
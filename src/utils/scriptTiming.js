@@ -0,0 +1,61 @@
+// Timing edits made in the timeline editor, written back into the script as #wait and #speed
+// lines so they stay visible and editable as text. Every function takes the input lines and the
+// index of the line being changed (a parsed line's `source`) and returns new input lines.
+import { parseDirective } from './canvasRenderer';
+
+const isDirective = (line, name) => parseDirective(line.trim())?.name === name;
+
+// Lines that don't show anything: directives and !! markers
+const isTimingLine = line => line.trim() === '!!' || !!parseDirective(line.trim());
+
+// End (exclusive) of the timing lines right after `index`
+function timingRunEnd(lines, index) {
+  let end = index + 1;
+  while (end < lines.length && isTimingLine(lines[end])) end++;
+  return end;
+}
+
+// Start of the timing lines right before `index`
+function timingRunStart(lines, index) {
+  let start = index;
+  while (start > 0 && isTimingLine(lines[start - 1])) start--;
+  return start;
+}
+
+// Replace the #wait lines after a line with a single `#wait <wait>` (none for 0)
+export function setPauseAfter(lines, index, wait) {
+  const end = timingRunEnd(lines, index);
+  const rest = lines.slice(index + 1, end).filter(line => !isDirective(line, 'wait'));
+  const pause = Math.round(wait) > 0 ? [`#wait ${Math.round(wait)}`] : [];
+  return [...lines.slice(0, index + 1), ...pause, ...rest, ...lines.slice(end)];
+}
+
+// Make the instant output block starting at `index` take `reveal` ms to appear, with a #reveal
+// right before it
+export function setRevealTime(lines, index, reveal) {
+  const start = timingRunStart(lines, index);
+  const before = lines.slice(start, index).filter(line => !isDirective(line, 'reveal'));
+  return [...lines.slice(0, start), ...before, `#reveal ${Math.max(0, Math.round(reveal))}`, ...lines.slice(index)];
+}
+
+// Type one line at `speed` ms per character. The speed the line had before (`previousSpeed`,
+// null for the global typing speed) is restored after it, unless the script changes it there anyway.
+export function setLineSpeed(lines, index, speed, previousSpeed = null) {
+  const start = timingRunStart(lines, index);
+  const end = timingRunEnd(lines, index);
+  const before = lines.slice(start, index).filter(line => !isDirective(line, 'speed'));
+  const after = lines.slice(index + 1, end);
+  const restore = end < lines.length && !after.some(line => isDirective(line, 'speed'))
+    ? [`#speed ${previousSpeed ?? 'reset'}`]
+    : [];
+
+  return [
+    ...lines.slice(0, start),
+    ...before,
+    `#speed ${Math.max(1, Math.round(speed))}`,
+    lines[index],
+    ...restore,
+    ...after,
+    ...lines.slice(end),
+  ];
+}
@@ -0,0 +1,141 @@
+// Fit an animated image export under a maximum file size by stepping quality knobs down
+// one at a time and re-encoding until it fits
+import { createFrameSource } from './canvasRenderer';
+import { imageFormats } from './gifEncoder';
+import { DEFAULT_FPS } from './timeline';
+
+// Each step makes the export smaller than the one before; steps for knobs a format
+// doesn't have, or that wouldn't change anything, are skipped
+const BUDGET_STEPS = [
+  { knob: 'dither', value: false, formats: ['gif'] },
+  { knob: 'colors', value: 128, formats: ['gif'] },
+  { knob: 'quality', value: 0.9, formats: ['webp'] },
+  { knob: 'fps', value: 15 },
+  { knob: 'scale', value: 1.5 },
+  { knob: 'colors', value: 64, formats: ['gif'] },
+  { knob: 'quality', value: 0.75, formats: ['webp'] },
+  { knob: 'fps', value: 10 },
+  { knob: 'scale', value: 1 },
+  { knob: 'colors', value: 32, formats: ['gif'] },
+  { knob: 'quality', value: 0.5, formats: ['webp'] },
+  { knob: 'fps', value: 5 },
+];
+
+const KNOB_DEFAULTS = {
+  scale: 2,
+  fps: DEFAULT_FPS,
+  colors: 256,
+  dither: false,
+  quality: 1,
+};
+
+function makesSmaller(step, settings) {
+  if (step.knob === 'dither') return settings.dither;
+  return step.value < settings[step.knob];
+}
+
+// `settings` holds the starting knob values (see KNOB_DEFAULTS); `maxBytes` 0 encodes once.
+// Resolves to { blob, fits, attempts, changes: [{ knob, from, to }] }; when nothing fits the
+// smallest attempt is returned with `fits` false.
+// `encodeFrames(frameOptions, encodeOptions, onProgress)` replaces the main-thread rendering
+// and encoding, e.g. with the worker pool.
+export async function exportWithinBudget(parsedLines, config, theme, options = {}) {
+  const {
+    format = 'gif',
+    maxBytes = 0,
+    settings: initialSettings = {},
+    frameOptions = {},
+    encodeOptions = {},
+    signal,
+    onStats,
+    onAttempt,
+    onProgress,
+  } = options;
+  const {
+    encodeFrames = (renderOptions, formatOptions, onEncodeProgress) => imageFormats[format].encode(
+      createFrameSource(parsedLines, config, theme, renderOptions),
+      { ...formatOptions, signal, onStats, onProgress: onEncodeProgress },
+    ),
+  } = options;
+
+  const initial = { ...KNOB_DEFAULTS, ...initialSettings };
+  // An edited frame list (frameOptions.frames) is fixed, so lowering the fps is off the table
+  const steps = BUDGET_STEPS.filter(step => (!step.formats || step.formats.includes(format)) &&
+    !(step.knob === 'fps' && frameOptions.frames));
+
+  const encode = settings => encodeFrames({
+    ...frameOptions,
+    scale: settings.scale,
+    fps: settings.fps,
+  }, {
+    ...encodeOptions,
+    colors: settings.colors,
+    dither: settings.dither,
+    quality: settings.quality,
+  }, onProgress);
+
+  let settings = initial;
+  let best = null;
+  let attempts = 0;
+  let stepIndex = 0;
+
+  while (true) {
+    signal?.throwIfAborted();
+    attempts++;
+    if (onAttempt) onAttempt(attempts);
+    const blob = await encode(settings);
+
+    if (!best || blob.size < best.blob.size) {
+      best = { blob, settings };
+    }
+    if (!maxBytes || blob.size <= maxBytes) break;
+
+    while (stepIndex < steps.length && !makesSmaller(steps[stepIndex], settings)) stepIndex++;
+    if (stepIndex === steps.length) break;
+    settings = { ...settings, [steps[stepIndex].knob]: steps[stepIndex].value };
+  }
+
+  const changes = Object.keys(KNOB_DEFAULTS)
+    .filter(knob => best.settings[knob] !== initial[knob])
+    .map(knob => ({ knob, from: initial[knob], to: best.settings[knob] }));
+
+  return {
+    blob: best.blob,
+    fits: !maxBytes || best.blob.size <= maxBytes,
+    attempts,
+    changes,
+  };
+}
+
+// Rough size of an export at the default scale, quick enough to redo after every edit in the
+// frame inspector. Compression makes the size grow far slower than the pixel count, so the
+// frames are encoded at `scale` and half of it, and the growth between the two is carried on
+// up to the full scale.
+// `encodeFrames(frameOptions, encodeOptions)` replaces the main-thread encoding, as in exportWithinBudget.
+export async function estimateExportSize(parsedLines, config, theme, options = {}) {
+  const {
+    format = 'gif',
+    scale = 1,
+    frameOptions = {},
+    encodeOptions = {},
+    signal,
+  } = options;
+  const {
+    encodeFrames = (renderOptions, formatOptions) => imageFormats[format].encode(
+      createFrameSource(parsedLines, config, theme, renderOptions),
+      { ...formatOptions, signal },
+    ),
+  } = options;
+
+  const encodedSize = async sampleScale => {
+    const blob = await encodeFrames({ ...frameOptions, scale: sampleScale }, encodeOptions);
+    return blob.size;
+  };
+  const small = await encodedSize(scale / 2);
+  const large = await encodedSize(scale);
+  return Math.round(large * (large / small) ** Math.log2(KNOB_DEFAULTS.scale / scale));
+}
+
+export function formatBytes(bytes) {
+  return bytes < 1024 * 1024 ? `${Math.round(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -0,0 +1,440 @@
+// Vector SVG export: the same layout as drawTerminal, emitted as shapes and real <text>.
+// Static exports draw the final frame, animated ones the whole timeline as CSS keyframes.
+import { resolveSegmentStyle } from './ansi';
+import { layoutLine, getLayoutOptions, promptOnlyLine } from './layout';
+import {
+  measureCellWidth,
+  getExportLayout,
+  screenDisplayState,
+  completedLines,
+  generateFrameStates,
+  getEffects,
+  getScrollRows,
+  GLOW_RADII,
+  FLICKER_OPACITIES,
+} from './canvasRenderer';
+import { loopLayout } from './timeline';
+
+const TITLE_FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Keep the output small: integers stay integers, everything else gets two decimals
+function num(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2).replace(/\.?0+$/, '');
+}
+
+function attrs(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .map(([key, value]) => `${key}="${typeof value === 'number' ? num(value) : escapeXml(value)}"`)
+    .join(' ');
+}
+
+// An element opening tag, leaving out empty attributes
+function openTag(name, values) {
+  const attributes = attrs(values);
+  return attributes ? `<${name} ${attributes}>` : `<${name}>`;
+}
+
+// Distance from a canvas textBaseline line ('top', 'middle') down to the alphabetic baseline.
+// SVG text sits on the alphabetic baseline; measuring keeps it where drawTerminal puts it
+// without relying on dominant-baseline, which several SVG viewers ignore.
+function measureBaselineOffset(ctx, font, baseline, fallback) {
+  ctx.font = font;
+  ctx.textBaseline = 'alphabetic';
+  const alphabetic = ctx.measureText('0').fontBoundingBoxAscent;
+  ctx.textBaseline = baseline;
+  const shifted = ctx.measureText('0').fontBoundingBoxAscent;
+  return typeof alphabetic === 'number' && typeof shifted === 'number' ? alphabetic - shifted : fallback;
+}
+
+// Path of a rectangle with only its top corners rounded (the title bar)
+function roundRectTopPath(x, y, width, height, radius) {
+  return [
+    `M${num(x + radius)} ${num(y)}`,
+    `H${num(x + width - radius)}`,
+    `Q${num(x + width)} ${num(y)} ${num(x + width)} ${num(y + radius)}`,
+    `V${num(y + height)}`,
+    `H${num(x)}`,
+    `V${num(y + radius)}`,
+    `Q${num(x)} ${num(y)} ${num(x + radius)} ${num(y)}`,
+    'Z',
+  ].join(' ');
+}
+
+function cursorRect(x, y, fontSize, color, style, scale) {
+  const width = fontSize * 0.6;
+  const height = fontSize * 1.1;
+
+  if (style === 'block') {
+    return `<rect ${attrs({ x, y, width, height, fill: color })}/>`;
+  }
+  if (style === 'underline') {
+    return `<rect ${attrs({ x, y: y + height - 3 * scale, width, height: 3 * scale, fill: color })}/>`;
+  }
+  return `<rect ${attrs({ x, y, width: 2 * scale, height, fill: color })}/>`;
+}
+
+// One row of laid out runs: backgrounds and underlines as rects, the text as a <text> with a <tspan> per run.
+// Shapes and text are returned apart so the glow filter only touches the text, like text-shadow.
+function renderRow(row, y, context) {
+  const { config, theme, defaultColor, cellWidth, fontSize, lineHeight, padding, scale, baselineOffset } = context;
+  const shapes = [];
+  const spans = [];
+
+  for (const run of row) {
+    const style = resolveSegmentStyle(run.style, theme, run.kind === 'prompt' ? theme.prompt : defaultColor);
+    const x = padding + run.col * cellWidth;
+    const width = run.cells * cellWidth;
+
+    if (style.background) {
+      shapes.push(`<rect ${attrs({
+        x,
+        y: y - (fontSize * (lineHeight - 1)) / 2,
+        width,
+        height: fontSize * lineHeight,
+        fill: style.background,
+      })}/>`);
+    }
+    if (style.underline) {
+      shapes.push(`<rect ${attrs({
+        x,
+        y: y + fontSize * 1.05,
+        width,
+        height: Math.max(1, scale),
+        fill: style.color,
+        opacity: style.opacity < 1 ? style.opacity : null,
+      })}/>`);
+    }
+
+    spans.push(`<tspan ${attrs({
+      // Double-width glyphs are centered in their two cells, like the canvas renderer
+      x: run.wide ? x + width / 2 : x,
+      'text-anchor': run.wide ? 'middle' : null,
+      // Pin each run to its cells, so a viewer falling back to another monospace font keeps the grid
+      textLength: run.wide || run.cells < 2 ? null : width,
+      fill: style.color,
+      'font-weight': style.fontWeight !== 400 ? style.fontWeight : null,
+      'font-style': style.fontStyle !== 'normal' ? style.fontStyle : null,
+      opacity: style.opacity < 1 ? style.opacity : null,
+    })}>${escapeXml(run.text)}</tspan>`);
+  }
+
+  const text = spans.length > 0
+    ? `<text ${attrs({ y: y + baselineOffset, 'font-family': config.font || 'monospace', 'font-size': fontSize })}>${spans.join('')}</text>`
+    : '';
+  return { shapes: shapes.join(''), text };
+}
+
+// Content of one frame: rows of text and shapes plus the cursor, positioned like drawTerminal.
+// `emitRow(row, y, context)` returns the { shapes, text } markup of a row placed at `y`.
+function renderFrame(state, setup, emitRow) {
+  const { config, theme, cellWidth, fontSize, lineHeight, padding, rowHeight, contentY, scale, layoutOptions } = setup;
+  const { lines, cursorLineIndex } = state;
+  const shapes = [];
+  const texts = [];
+  let cursor = '';
+  let currentY = contentY + padding;
+
+  if (config.terminalRows > 0) {
+    currentY -= (state.scrollRows ?? getScrollRows(config, state)) * rowHeight;
+  }
+
+  const renderLine = (line, isCursorLine) => {
+    const lineLayout = layoutLine(line, layoutOptions);
+    const context = {
+      config,
+      theme,
+      defaultColor: line.showPrompt ? theme.foreground : theme.comment,
+      cellWidth,
+      fontSize,
+      lineHeight,
+      padding,
+      scale,
+      baselineOffset: setup.baselineOffset,
+    };
+
+    lineLayout.rows.forEach((row, rowIdx) => {
+      const rendered = emitRow(row, currentY + rowIdx * rowHeight, context);
+      shapes.push(rendered.shapes);
+      texts.push(rendered.text);
+    });
+
+    if (isCursorLine) {
+      const cursorX = padding + lineLayout.cursor.col * cellWidth + 2 * scale;
+      cursor = cursorRect(cursorX, currentY + lineLayout.cursor.row * rowHeight, fontSize, theme.cursor, config.cursorStyle, scale);
+    }
+
+    currentY += lineLayout.rows.length * rowHeight;
+  };
+
+  lines.forEach((line, lineIdx) => renderLine(line, cursorLineIndex === lineIdx));
+  if (cursorLineIndex >= lines.length) {
+    renderLine(promptOnlyLine, true);
+  }
+
+  return { shapes: shapes.join(''), texts: texts.join(''), cursor };
+}
+
+// Sizes and settings shared by every frame, at one SVG unit per CSS pixel
+function createSetup(parsedLines, config, theme, options) {
+  const {
+    targetWidth = null,
+    targetHeight = null,
+  } = options;
+
+  const scale = 1;
+  const layout = getExportLayout(parsedLines, config, theme, targetWidth, targetHeight, scale);
+  const exportConfig = layout.config;
+  const fontSize = exportConfig.fontSize * scale;
+  const titleBarHeight = exportConfig.showTitle ? 40 * scale : 0;
+  const measureCtx = document.createElement('canvas').getContext('2d');
+
+  return {
+    config: exportConfig,
+    theme,
+    scale,
+    // Whole units, so filmstrip frames line up exactly
+    width: Math.ceil(layout.width),
+    height: Math.ceil(layout.height),
+    fontSize,
+    padding: exportConfig.padding * scale,
+    lineHeight: exportConfig.lineHeight,
+    rowHeight: fontSize * exportConfig.lineHeight,
+    titleBarHeight,
+    borderRadius: exportConfig.borderRadius * scale,
+    contentY: titleBarHeight,
+    contentHeight: Math.ceil(layout.height) - titleBarHeight,
+    cellWidth: measureCellWidth(measureCtx, fontSize, exportConfig.font),
+    baselineOffset: measureBaselineOffset(measureCtx, `400 ${fontSize}px ${exportConfig.font || 'monospace'}`, 'top', fontSize * 0.8),
+    titleBaselineOffset: measureBaselineOffset(measureCtx, `500 ${14 * scale}px ${TITLE_FONT}`, 'middle', 14 * scale * 0.35),
+    effects: getEffects(exportConfig, theme),
+    layoutOptions: getLayoutOptions(exportConfig),
+  };
+}
+
+// Window background, border and title bar, drawn in the same order as drawTerminal
+function renderWindow(setup, defs) {
+  const { config, theme, scale, width, height, titleBarHeight, borderRadius, contentY, contentHeight } = setup;
+  const body = [];
+
+  defs.push(`<clipPath id="tn-window"><rect ${attrs({ width, height, rx: borderRadius })}/></clipPath>`);
+  body.push(`<rect ${attrs({ width, height, rx: borderRadius, fill: theme.windowBg })}/>`);
+  // Drawn before the content, which covers all but its corners, exactly like drawTerminal
+  body.push(`<rect ${attrs({
+    x: 1,
+    y: 1,
+    width: width - 2,
+    height: height - 2,
+    rx: borderRadius,
+    fill: 'none',
+    stroke: theme.windowBorder,
+    'stroke-width': 2 * scale,
+  })}/>`);
+
+  // Content area, with the background image shown through at backgroundOpacity.
+  // Like drawTerminal, only a window without a title bar clips the content to the rounded corners.
+  body.push(openTag('g', { 'clip-path': config.showTitle ? null : 'url(#tn-window)' }));
+  body.push(`<rect ${attrs({ y: contentY, width, height: contentHeight, fill: theme.background })}/>`);
+  if (config.backgroundImage) {
+    body.push(`<image ${attrs({
+      href: config.backgroundImage,
+      y: contentY,
+      width,
+      height: contentHeight,
+      preserveAspectRatio: 'xMidYMid slice',
+    })}/>`);
+    body.push(`<rect ${attrs({
+      y: contentY,
+      width,
+      height: contentHeight,
+      fill: theme.background,
+      opacity: 1 - (config.backgroundOpacity ?? 0.1),
+    })}/>`);
+  }
+  body.push('</g>');
+
+  // Title bar with window controls and the centered title
+  if (config.showTitle) {
+    body.push(`<path ${attrs({ d: roundRectTopPath(0, 0, width, titleBarHeight, borderRadius), fill: theme.titleBar })}/>`);
+
+    if (config.showWindowControls) {
+      const buttonY = titleBarHeight / 2;
+      [theme.buttonRed, theme.buttonYellow, theme.buttonGreen].forEach((color, i) => {
+        body.push(`<circle ${attrs({ cx: 16 * scale + 20 * scale * i, cy: buttonY, r: 6 * scale, fill: color })}/>`);
+      });
+    }
+
+    body.push(`<text ${attrs({
+      x: width / 2,
+      y: titleBarHeight / 2 + setup.titleBaselineOffset,
+      'text-anchor': 'middle',
+      'font-family': TITLE_FONT,
+      'font-size': 14 * scale,
+      'font-weight': 500,
+      fill: theme.foreground,
+      opacity: 0.7,
+    })}>${escapeXml(config.title || 'Terminal')}</text>`);
+  }
+
+  return body.join('');
+}
+
+// Clip for fixed-rows mode and the glow filter (a CSS blur radius is two standard deviations).
+// The filter region is the whole image, so a moving filmstrip underneath doesn't enlarge it.
+function contentGroups(setup, defs) {
+  const { config, scale, width, height, contentY, padding, rowHeight, effects } = setup;
+
+  let clip = null;
+  if (config.terminalRows > 0) {
+    defs.push(`<clipPath id="tn-viewport"><rect ${attrs({ y: contentY + padding, width, height: config.terminalRows * rowHeight })}/></clipPath>`);
+    clip = 'url(#tn-viewport)';
+  }
+
+  let filter = null;
+  if (effects.glow) {
+    const blurs = GLOW_RADII.map((radius, i) => `<feGaussianBlur in="SourceGraphic" stdDeviation="${num(radius * scale / 2)}" result="glow${i}"/>`);
+    const merge = GLOW_RADII.map((radius, i) => `<feMergeNode in="glow${i}"/>`);
+    defs.push(`<filter ${attrs({ id: 'tn-glow', filterUnits: 'userSpaceOnUse', x: 0, y: 0, width, height })}>${blurs.join('')}<feMerge>${merge.join('')}<feMergeNode in="SourceGraphic"/></feMerge></filter>`);
+    filter = 'url(#tn-glow)';
+  }
+
+  return { clip, filter };
+}
+
+// Scanlines and CRT noise on top of everything, like the preview's pseudo-elements.
+// `flickerClass` animates the CRT dimming in animated exports; static ones use its resting level.
+function renderOverlays(setup, defs, flickerClass = null) {
+  const { scale, width, height, contentY, contentHeight, effects } = setup;
+  const body = [];
+
+  if (effects.scanlines) {
+    defs.push(`<pattern ${attrs({ id: 'tn-scanlines', width: 2 * scale, height: 2 * scale, y: contentY + contentHeight, patternUnits: 'userSpaceOnUse' })}><rect ${attrs({ y: scale, width: 2 * scale, height: scale, fill: 'rgba(0, 0, 0, 0.1)' })}/></pattern>`);
+    body.push(`<rect ${attrs({ y: contentY, width, height: contentHeight, fill: 'url(#tn-scanlines)' })}/>`);
+  }
+  if (effects.crt) {
+    defs.push(`<filter id="tn-noise"><feTurbulence type="fractalNoise" baseFrequency="0.8" numOctaves="4" stitchTiles="stitch"/></filter>`);
+    body.push(`<g clip-path="url(#tn-window)"><rect ${attrs({ width, height, filter: 'url(#tn-noise)', opacity: 0.02 })}/><rect ${attrs({ width, height, fill: '#000', opacity: 1 - FLICKER_OPACITIES[0], class: flickerClass })}/></g>`);
+  }
+
+  return body.join('');
+}
+
+function svgDocument(setup, defs, body, style = '') {
+  const { width, height } = setup;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ${attrs({ width, height, viewBox: `0 0 ${num(width)} ${num(height)}` })} xml:space="preserve">`,
+    style ? `<style>${style}</style>` : '',
+    defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '',
+    body,
+    '</svg>',
+  ].join('');
+}
+
+// Render the finished terminal (the final animation frame) as a standalone SVG document
+export function renderTerminalSVG(parsedLines, config, theme, options = {}) {
+  const setup = createSetup(parsedLines, config, theme, options);
+  const state = screenDisplayState(parsedLines, completedLines(parsedLines), parsedLines.length, null, 0);
+  const defs = [];
+  const body = [renderWindow(setup, defs)];
+
+  const frame = renderFrame(state, setup, renderRow);
+  const { clip, filter } = contentGroups(setup, defs);
+  body.push(openTag('g', { 'clip-path': clip }));
+  body.push(frame.shapes);
+  body.push(`${openTag('g', { filter })}${frame.texts}</g>`);
+  body.push(frame.cursor);
+  body.push('</g>');
+
+  body.push(renderOverlays(setup, defs));
+  return svgDocument(setup, defs, body.join(''));
+}
+
+// Render the whole animation as one self-contained SVG, svg-term style: every frame sits side by side
+// on a filmstrip that a CSS keyframe animation steps through on the generateFrameStates schedule.
+// Rows are defined once and reused, so frames cost little more than their timing.
+// `loopCount` plays it that many times, 0 forever.
+export function renderAnimatedSVG(parsedLines, config, theme, options = {}) {
+  const { loopCount = 0 } = options;
+  const plays = loopLayout(loopCount, config.ending);
+  const setup = createSetup(parsedLines, config, theme, options);
+  const { width } = setup;
+  const defs = [];
+  const body = [renderWindow(setup, defs)];
+
+  // Each distinct row is defined once at y=0 and placed with <use>
+  const rowIds = new Map();
+  const useRow = (markup, y) => {
+    if (!markup) return '';
+    if (!rowIds.has(markup)) {
+      const id = `tn-r${rowIds.size}`;
+      rowIds.set(markup, id);
+      defs.push(`<g id="${id}">${markup}</g>`);
+    }
+    // xlink:href rather than href: older renderers only understand the former
+    return `<use ${attrs({ 'xlink:href': `#${rowIds.get(markup)}`, y: y !== 0 ? y : null })}/>`;
+  };
+  const emitRow = (row, y, context) => {
+    const rendered = renderRow(row, 0, context);
+    return { shapes: useRow(rendered.shapes, y), text: useRow(rendered.text, y) };
+  };
+
+  // Render every frame, merging consecutive identical ones into a longer hold
+  const frames = [];
+  for (const { state, delay } of generateFrameStates(parsedLines, setup.config, { ...options, ...plays })) {
+    const frame = { ...renderFrame(state, setup, emitRow), fade: state.fade ?? 1 };
+    const previous = frames[frames.length - 1];
+    if (previous && previous.shapes === frame.shapes && previous.texts === frame.texts && previous.cursor === frame.cursor &&
+      previous.fade === frame.fade) {
+      previous.delay += delay;
+    } else {
+      frames.push({ ...frame, delay });
+    }
+  }
+
+  const totalDuration = frames.reduce((sum, frame) => sum + frame.delay, 0);
+  const strip = (key, extra = () => '') => frames
+    .map((frame, i) => `${openTag('g', {
+      transform: i > 0 ? `translate(${num(i * width)})` : null,
+      opacity: frame.fade < 1 ? num(frame.fade) : null,
+    })}${frame[key]}${extra(frame)}</g>`)
+    .join('');
+
+  const { clip, filter } = contentGroups(setup, defs);
+  const cursorClass = config.cursorBlink ? ' class="tn-cursor"' : '';
+  body.push(openTag('g', { 'clip-path': clip }));
+  body.push(`<g class="tn-strip">${strip('shapes', frame => (frame.cursor ? `<g${cursorClass}>${frame.cursor}</g>` : ''))}</g>`);
+  body.push(`${openTag('g', { filter })}<g class="tn-strip">${strip('texts')}</g></g>`);
+  body.push('</g>');
+  body.push(renderOverlays(setup, defs, 'tn-flicker'));
+
+  // One keyframe per frame start; steps(1, end) holds each position until the next keyframe
+  let elapsed = 0;
+  const keyframes = frames.map((frame, i) => {
+    const percent = (elapsed / totalDuration) * 100;
+    elapsed += frame.delay;
+    return `${num(Math.round(percent * 1000) / 1000)}%{transform:translateX(${num(-i * width)}px)}`;
+  });
+  keyframes.push(`100%{transform:translateX(${num(-(frames.length - 1) * width)}px)}`);
+
+  const iterations = plays.loop > 0 ? String(plays.loop) : 'infinite';
+  const style = [
+    `.tn-strip{animation:tn-play ${Math.round(totalDuration)}ms steps(1,end) ${iterations} both}`,
+    `@keyframes tn-play{${keyframes.join('')}}`,
+    '.tn-cursor{animation:tn-blink 1s step-end infinite}',
+    '@keyframes tn-blink{50%{opacity:0}}',
+    // Black overlay opacities matching the preview's flicker keyframes
+    '.tn-flicker{animation:tn-flicker .1s infinite}',
+    `@keyframes tn-flicker{0%,20%,60%,100%{opacity:${num(1 - FLICKER_OPACITIES[0])}}10%,80%{opacity:${num(1 - FLICKER_OPACITIES[1])}}40%{opacity:${num(1 - FLICKER_OPACITIES[3])}}}`,
+  ].join('');
+
+  return svgDocument(setup, defs, body.join(''), style);
+}
@@ -1,4 +1,33 @@
+// Standard 16-color names, in SGR order (30-37 / 90-97)
+export const ansiColorNames = [
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+  'brightBlack', 'brightRed', 'brightGreen', 'brightYellow',
+  'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite',
+];
+
+// xterm defaults, the base for palettes derived from themes without an `ansi` entry
+export const defaultAnsiPalette = {
+  black: '#000000',
+  red: '#cd0000',
+  green: '#00cd00',
+  yellow: '#cdcd00',
+  blue: '#0000ee',
+  magenta: '#cd00cd',
+  cyan: '#00cdcd',
+  white: '#e5e5e5',
+  brightBlack: '#7f7f7f',
+  brightRed: '#ff0000',
+  brightGreen: '#00ff00',
+  brightYellow: '#ffff00',
+  brightBlue: '#5c5cff',
+  brightMagenta: '#ff00ff',
+  brightCyan: '#00ffff',
+  brightWhite: '#ffffff',
+};
+
 // Hacker-themed terminal themes
+// Each theme maps the semantic slots (foreground, prompt, comment...) plus the
+// 16-color `ansi` palette used for ANSI escapes and inline color markup
 export const themes = {
   matrix: {
     name: 'Matrix',
@@ -16,6 +45,12 @@ export const themes = {
     buttonRed: '#ff5f56',
     buttonYellow: '#ffbd2e',
     buttonGreen: '#27c93f',
+    ansi: {
+      black: '#0d0d0d', red: '#ff3333', green: '#00cc00', yellow: '#ccff00',
+      blue: '#00b36b', magenta: '#66ff99', cyan: '#00ff99', white: '#b3ffb3',
+      brightBlack: '#006600', brightRed: '#ff6666', brightGreen: '#00ff00', brightYellow: '#e6ff66',
+      brightBlue: '#33cc88', brightMagenta: '#99ffbb', brightCyan: '#66ffcc', brightWhite: '#e6ffe6',
+    },
     glow: true,
     scanlines: true,
   },
@@ -35,6 +70,12 @@ export const themes = {
     buttonRed: '#ff2a6d',
     buttonYellow: '#ffff00',
     buttonGreen: '#00ffff',
+    ansi: {
+      black: '#0d0221', red: '#ff2a6d', green: '#05ffa1', yellow: '#ffff00',
+      blue: '#2d6bff', magenta: '#ff00ff', cyan: '#00ffff', white: '#d1f7ff',
+      brightBlack: '#4a2c6b', brightRed: '#ff6e9c', brightGreen: '#7dffc9', brightYellow: '#fff67a',
+      brightBlue: '#6e9bff', brightMagenta: '#ff6eff', brightCyan: '#6effff', brightWhite: '#ffffff',
+    },
     glow: true,
     scanlines: false,
   },
@@ -54,6 +95,12 @@ export const themes = {
     buttonRed: '#e85353',
     buttonYellow: '#e8b953',
     buttonGreen: '#b5e853',
+    ansi: {
+      black: '#0c0c0c', red: '#e85353', green: '#b5e853', yellow: '#e8b953',
+      blue: '#5394e8', magenta: '#b553e8', cyan: '#53e8d4', white: '#d0d0d0',
+      brightBlack: '#555555', brightRed: '#ff7070', brightGreen: '#ccff70', brightYellow: '#ffd070',
+      brightBlue: '#70aaff', brightMagenta: '#cc70ff', brightCyan: '#70ffea', brightWhite: '#ffffff',
+    },
     glow: false,
     scanlines: false,
   },
@@ -73,6 +120,12 @@ export const themes = {
     buttonRed: '#ff5555',
     buttonYellow: '#f1fa8c',
     buttonGreen: '#50fa7b',
+    ansi: {
+      black: '#21222c', red: '#ff5555', green: '#50fa7b', yellow: '#f1fa8c',
+      blue: '#bd93f9', magenta: '#ff79c6', cyan: '#8be9fd', white: '#f8f8f2',
+      brightBlack: '#6272a4', brightRed: '#ff6e6e', brightGreen: '#69ff94', brightYellow: '#ffffa5',
+      brightBlue: '#d6acff', brightMagenta: '#ff92df', brightCyan: '#a4ffff', brightWhite: '#ffffff',
+    },
     glow: false,
     scanlines: false,
   },
@@ -92,6 +145,12 @@ export const themes = {
     buttonRed: '#fe4450',
     buttonYellow: '#fede5d',
     buttonGreen: '#72f1b8',
+    ansi: {
+      black: '#241b2f', red: '#fe4450', green: '#72f1b8', yellow: '#fede5d',
+      blue: '#2ee2fa', magenta: '#ff7edb', cyan: '#03edf9', white: '#f0eff1',
+      brightBlack: '#848bbd', brightRed: '#fe6d77', brightGreen: '#9ef7cf', brightYellow: '#fee78a',
+      brightBlue: '#6feafb', brightMagenta: '#ffa8e8', brightCyan: '#61f6fb', brightWhite: '#ffffff',
+    },
     glow: true,
     scanlines: true,
   },
@@ -111,6 +170,12 @@ export const themes = {
     buttonRed: '#bf616a',
     buttonYellow: '#ebcb8b',
     buttonGreen: '#a3be8c',
+    ansi: {
+      black: '#3b4252', red: '#bf616a', green: '#a3be8c', yellow: '#ebcb8b',
+      blue: '#81a1c1', magenta: '#b48ead', cyan: '#88c0d0', white: '#e5e9f0',
+      brightBlack: '#4c566a', brightRed: '#bf616a', brightGreen: '#a3be8c', brightYellow: '#ebcb8b',
+      brightBlue: '#81a1c1', brightMagenta: '#b48ead', brightCyan: '#8fbcbb', brightWhite: '#eceff4',
+    },
     glow: false,
     scanlines: false,
   },
@@ -130,6 +195,12 @@ export const themes = {
     buttonRed: '#ff3333',
     buttonYellow: '#ffff33',
     buttonGreen: '#33ff33',
+    ansi: {
+      black: '#0c1e0c', red: '#1f9f1f', green: '#33ff33', yellow: '#66ff66',
+      blue: '#1a8c1a', magenta: '#4dcc4d', cyan: '#80ff80', white: '#b3ffb3',
+      brightBlack: '#145214', brightRed: '#2bbf2b', brightGreen: '#5cff5c', brightYellow: '#8cff8c',
+      brightBlue: '#26a626', brightMagenta: '#66e066', brightCyan: '#a6ffa6', brightWhite: '#e6ffe6',
+    },
     glow: true,
     scanlines: true,
     crt: true,
@@ -150,6 +221,12 @@ export const themes = {
     buttonRed: '#ff6600',
     buttonYellow: '#ffb000',
     buttonGreen: '#ffd700',
+    ansi: {
+      black: '#1a1400', red: '#cc7a00', green: '#ffb000', yellow: '#ffc000',
+      blue: '#996600', magenta: '#e69500', cyan: '#ffcc33', white: '#ffe0a0',
+      brightBlack: '#4d3a00', brightRed: '#e68a00', brightGreen: '#ffc033', brightYellow: '#ffd24d',
+      brightBlue: '#b37700', brightMagenta: '#ffa31a', brightCyan: '#ffd966', brightWhite: '#fff2d9',
+    },
     glow: true,
     scanlines: true,
     crt: true,
@@ -170,6 +247,12 @@ export const themes = {
     buttonRed: '#f07178',
     buttonYellow: '#e6b450',
     buttonGreen: '#c2d94c',
+    ansi: {
+      black: '#0a0e14', red: '#f07178', green: '#c2d94c', yellow: '#e6b450',
+      blue: '#59c2ff', magenta: '#d2a6ff', cyan: '#95e6cb', white: '#b3b1ad',
+      brightBlack: '#626a73', brightRed: '#f28779', brightGreen: '#d5ff80', brightYellow: '#ffd173',
+      brightBlue: '#73d0ff', brightMagenta: '#dfbfff', brightCyan: '#a6f0d8', brightWhite: '#ffffff',
+    },
     glow: false,
     scanlines: false,
   },
@@ -189,6 +272,12 @@ export const themes = {
     buttonRed: '#f7768e',
     buttonYellow: '#e0af68',
     buttonGreen: '#9ece6a',
+    ansi: {
+      black: '#15161e', red: '#f7768e', green: '#9ece6a', yellow: '#e0af68',
+      blue: '#7aa2f7', magenta: '#bb9af7', cyan: '#7dcfff', white: '#a9b1d6',
+      brightBlack: '#414868', brightRed: '#f7768e', brightGreen: '#9ece6a', brightYellow: '#e0af68',
+      brightBlue: '#7aa2f7', brightMagenta: '#bb9af7', brightCyan: '#7dcfff', brightWhite: '#c0caf5',
+    },
     glow: false,
     scanlines: false,
   },
@@ -208,6 +297,12 @@ export const themes = {
     buttonRed: '#ff4444',
     buttonYellow: '#ff8844',
     buttonGreen: '#44ff44',
+    ansi: {
+      black: '#10080a', red: '#ff2222', green: '#b36b5e', yellow: '#ff9966',
+      blue: '#884455', magenta: '#ff5588', cyan: '#cc8888', white: '#ffcccc',
+      brightBlack: '#662222', brightRed: '#ff5555', brightGreen: '#d9917f', brightYellow: '#ffbb88',
+      brightBlue: '#aa5566', brightMagenta: '#ff88aa', brightCyan: '#ffaaaa', brightWhite: '#fff0f0',
+    },
     glow: true,
     scanlines: true,
   },
@@ -227,6 +322,12 @@ export const themes = {
     buttonRed: '#ff5566',
     buttonYellow: '#ffcc00',
     buttonGreen: '#00d4aa',
+    ansi: {
+      black: '#0a1612', red: '#ff5c7a', green: '#00d4aa', yellow: '#d4d46a',
+      blue: '#00a3cc', magenta: '#9f7aea', cyan: '#00ffcc', white: '#c8f5ea',
+      brightBlack: '#006655', brightRed: '#ff8099', brightGreen: '#33ffcc', brightYellow: '#eeee88',
+      brightBlue: '#33ccff', brightMagenta: '#b899ff', brightCyan: '#66ffdd', brightWhite: '#ffffff',
+    },
     glow: true,
     scanlines: false,
   },
@@ -246,6 +347,12 @@ export const themes = {
     buttonRed: '#ff6188',
     buttonYellow: '#ffd866',
     buttonGreen: '#a9dc76',
+    ansi: {
+      black: '#2d2a2e', red: '#ff6188', green: '#a9dc76', yellow: '#ffd866',
+      blue: '#fc9867', magenta: '#ab9df2', cyan: '#78dce8', white: '#fcfcfa',
+      brightBlack: '#727072', brightRed: '#ff6188', brightGreen: '#a9dc76', brightYellow: '#ffd866',
+      brightBlue: '#fc9867', brightMagenta: '#ab9df2', brightCyan: '#78dce8', brightWhite: '#ffffff',
+    },
     glow: false,
     scanlines: false,
   },
@@ -265,6 +372,12 @@ export const themes = {
     buttonRed: '#f38ba8',
     buttonYellow: '#f9e2af',
     buttonGreen: '#a6e3a1',
+    ansi: {
+      black: '#45475a', red: '#f38ba8', green: '#a6e3a1', yellow: '#f9e2af',
+      blue: '#89b4fa', magenta: '#f5c2e7', cyan: '#94e2d5', white: '#bac2de',
+      brightBlack: '#585b70', brightRed: '#f38ba8', brightGreen: '#a6e3a1', brightYellow: '#f9e2af',
+      brightBlue: '#89b4fa', brightMagenta: '#f5c2e7', brightCyan: '#94e2d5', brightWhite: '#a6adc8',
+    },
     glow: false,
     scanlines: false,
   },
@@ -284,6 +397,12 @@ export const themes = {
     buttonRed: '#fb4934',
     buttonYellow: '#fabd2f',
     buttonGreen: '#b8bb26',
+    ansi: {
+      black: '#282828', red: '#cc241d', green: '#98971a', yellow: '#d79921',
+      blue: '#458588', magenta: '#b16286', cyan: '#689d6a', white: '#a89984',
+      brightBlack: '#928374', brightRed: '#fb4934', brightGreen: '#b8bb26', brightYellow: '#fabd2f',
+      brightBlue: '#83a598', brightMagenta: '#d3869b', brightCyan: '#8ec07c', brightWhite: '#ebdbb2',
+    },
     glow: false,
     scanlines: false,
   },
@@ -303,6 +422,12 @@ export const themes = {
     buttonRed: '#e06c75',
     buttonYellow: '#e5c07b',
     buttonGreen: '#98c379',
+    ansi: {
+      black: '#282c34', red: '#e06c75', green: '#98c379', yellow: '#e5c07b',
+      blue: '#61afef', magenta: '#c678dd', cyan: '#56b6c2', white: '#abb2bf',
+      brightBlack: '#5c6370', brightRed: '#e06c75', brightGreen: '#98c379', brightYellow: '#e5c07b',
+      brightBlue: '#61afef', brightMagenta: '#c678dd', brightCyan: '#56b6c2', brightWhite: '#ffffff',
+    },
     glow: false,
     scanlines: false,
   },
@@ -322,6 +447,12 @@ export const themes = {
     buttonRed: '#ff0000',
     buttonYellow: '#39ff14',
     buttonGreen: '#00ff00',
+    ansi: {
+      black: '#0a0a0a', red: '#ff3131', green: '#39ff14', yellow: '#d4ff14',
+      blue: '#00b32d', magenta: '#8cff66', cyan: '#00ff41', white: '#c8ffc8',
+      brightBlack: '#1a5c0f', brightRed: '#ff6464', brightGreen: '#6bff4d', brightYellow: '#e6ff66',
+      brightBlue: '#33d65c', brightMagenta: '#b3ff99', brightCyan: '#66ff80', brightWhite: '#ffffff',
+    },
     glow: true,
     scanlines: true,
     crt: true,
@@ -342,6 +473,12 @@ export const themes = {
     buttonRed: '#ff6600',
     buttonYellow: '#ffaa00',
     buttonGreen: '#00ff00',
+    ansi: {
+      black: '#0d0d0d', red: '#ff3300', green: '#99cc00', yellow: '#ffaa00',
+      blue: '#4d88ff', magenta: '#cc66cc', cyan: '#33cccc', white: '#f6f6ef',
+      brightBlack: '#805300', brightRed: '#ff6633', brightGreen: '#b3e600', brightYellow: '#ffcc33',
+      brightBlue: '#80aaff', brightMagenta: '#e08ae0', brightCyan: '#66e0e0', brightWhite: '#ffffff',
+    },
     glow: true,
     scanlines: false,
   },
@@ -361,6 +498,12 @@ export const themes = {
     buttonRed: '#dc322f',
     buttonYellow: '#b58900',
     buttonGreen: '#859900',
+    ansi: {
+      black: '#073642', red: '#dc322f', green: '#859900', yellow: '#b58900',
+      blue: '#268bd2', magenta: '#d33682', cyan: '#2aa198', white: '#eee8d5',
+      brightBlack: '#586e75', brightRed: '#cb4b16', brightGreen: '#9eb81a', brightYellow: '#d3a40f',
+      brightBlue: '#4a9fdf', brightMagenta: '#6c71c4', brightCyan: '#3fc1b6', brightWhite: '#fdf6e3',
+    },
     glow: false,
     scanlines: false,
   },
@@ -380,6 +523,12 @@ export const themes = {
     buttonRed: '#ff0055',
     buttonYellow: '#ffff00',
     buttonGreen: '#00ff9c',
+    ansi: {
+      black: '#0b0b0b', red: '#ff3860', green: '#00ff9c', yellow: '#f8ff6b',
+      blue: '#00d4ff', magenta: '#ff00ff', cyan: '#00ffd5', white: '#e0e0e0',
+      brightBlack: '#007a5a', brightRed: '#ff6b88', brightGreen: '#66ffc4', brightYellow: '#fbff99',
+      brightBlue: '#66e5ff', brightMagenta: '#ff66ff', brightCyan: '#66ffe6', brightWhite: '#ffffff',
+    },
     glow: true,
     scanlines: true,
   },
@@ -399,6 +548,12 @@ export const themes = {
     buttonRed: '#f14c4c',
     buttonYellow: '#cca700',
     buttonGreen: '#89d185',
+    ansi: {
+      black: '#000000', red: '#cd3131', green: '#0dbc79', yellow: '#e5e510',
+      blue: '#2472c8', magenta: '#bc3fbc', cyan: '#11a8cd', white: '#e5e5e5',
+      brightBlack: '#666666', brightRed: '#f14c4c', brightGreen: '#23d18b', brightYellow: '#f5f543',
+      brightBlue: '#3b8eea', brightMagenta: '#d670d6', brightCyan: '#29b8db', brightWhite: '#e5e5e5',
+    },
     glow: false,
     scanlines: false,
   },
@@ -418,6 +573,12 @@ export const themes = {
     buttonRed: '#f07178',
     buttonYellow: '#ffb454',
     buttonGreen: '#aad94c',
+    ansi: {
+      black: '#01060e', red: '#ea6c73', green: '#91b362', yellow: '#f9af4f',
+      blue: '#53bdfa', magenta: '#fae994', cyan: '#90e1c6', white: '#c7c7c7',
+      brightBlack: '#686868', brightRed: '#f07178', brightGreen: '#c2d94c', brightYellow: '#ffb454',
+      brightBlue: '#59c2ff', brightMagenta: '#ffee99', brightCyan: '#95e6cb', brightWhite: '#ffffff',
+    },
     glow: false,
     scanlines: false,
   },
@@ -437,6 +598,12 @@ export const themes = {
     buttonRed: '#ff5370',
     buttonYellow: '#ffcb6b',
     buttonGreen: '#c3e88d',
+    ansi: {
+      black: '#292d3e', red: '#f07178', green: '#c3e88d', yellow: '#ffcb6b',
+      blue: '#82aaff', magenta: '#c792ea', cyan: '#89ddff', white: '#d0d0d0',
+      brightBlack: '#676e95', brightRed: '#ff8b92', brightGreen: '#ddffa7', brightYellow: '#ffe585',
+      brightBlue: '#9cc4ff', brightMagenta: '#e1acff', brightCyan: '#a3f7ff', brightWhite: '#ffffff',
+    },
     glow: false,
     scanlines: false,
   },
@@ -456,11 +623,64 @@ export const themes = {
     buttonRed: '#e95678',
     buttonYellow: '#fab795',
     buttonGreen: '#29d398',
+    ansi: {
+      black: '#16161c', red: '#e95678', green: '#29d398', yellow: '#fab795',
+      blue: '#26bbd9', magenta: '#ee64ac', cyan: '#59e1e3', white: '#d5d8da',
+      brightBlack: '#5b5858', brightRed: '#ec6a88', brightGreen: '#3fdaa4', brightYellow: '#fbc3a7',
+      brightBlue: '#3fc4de', brightMagenta: '#f075b5', brightCyan: '#6be4e6', brightWhite: '#d5d8da',
+    },
     glow: false,
     scanlines: false,
   },
 };
 
+function parseHex(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// Blend two hex colors, falling back to `a` when either can't be parsed
+function mixColors(a, b, amount) {
+  const from = parseHex(a);
+  const to = parseHex(b);
+  if (!from || !to) return a;
+  return '#' + from.map((c, i) => Math.round(c + (to[i] - c) * amount).toString(16).padStart(2, '0')).join('');
+}
+
+const derivedPalettes = new WeakMap();
+
+// Palette for a theme: its own `ansi` entry (missing keys filled in), or one derived
+// from the window button colors and semantic slots so user themes still look coherent
+export function getAnsiPalette(theme) {
+  if (!theme) return defaultAnsiPalette;
+  if (derivedPalettes.has(theme)) return derivedPalettes.get(theme);
+
+  const own = theme.ansi || {};
+  const tint = (color) => mixColors(color, theme.foreground, 0.15);
+  const base = {
+    black: mixColors(theme.background, '#000000', 0.3),
+    red: theme.buttonRed || tint(defaultAnsiPalette.red),
+    green: theme.buttonGreen || tint(defaultAnsiPalette.green),
+    yellow: theme.buttonYellow || tint(defaultAnsiPalette.yellow),
+    blue: tint(mixColors(defaultAnsiPalette.blue, '#ffffff', 0.3)),
+    magenta: theme.accent || tint(defaultAnsiPalette.magenta),
+    cyan: tint(defaultAnsiPalette.cyan),
+    white: mixColors(theme.foreground, '#808080', 0.2),
+    brightBlack: theme.comment || defaultAnsiPalette.brightBlack,
+    brightWhite: mixColors(theme.foreground, '#ffffff', 0.5),
+  };
+  for (const name of ['red', 'green', 'yellow', 'blue', 'magenta', 'cyan']) {
+    const brightName = 'bright' + name[0].toUpperCase() + name.slice(1);
+    base[brightName] = mixColors(own[name] || base[name], '#ffffff', 0.25);
+  }
+
+  const palette = { ...base, ...own };
+  derivedPalettes.set(theme, palette);
+  return palette;
+}
+
 export const fonts = [
   { name: 'JetBrains Mono', value: "'JetBrains Mono', monospace" },
   { name: 'Fira Code', value: "'Fira Code', monospace" },
@@ -557,10 +777,37 @@ export const defaultConfig = {
   glowEffect: false,
   scanlineEffect: false,
   crtEffect: false,
+  // Opt-in keyboard clicks in the preview (once unmuted) and as a video export's audio track;
+  // the hum only plays with CRT themes
+  typingSounds: false,
+  crtHum: false,
   padding: 20,
   borderRadius: 12,
   backgroundImage: null,
   backgroundOpacity: 0.1,
   // Output mode: 'typing' = character by character, 'instant' = all at once
   outputMode: 'typing',
+  // Typing rhythm: 'steady' = every key at typingSpeed, 'human' = seeded jitter, bursts and pauses around it
+  typingRhythm: 'steady',
+  rhythmSeed: 1,
+  // Auto typos: chance per letter of a corrected mistake in commands, seeded for reproducible exports
+  typoRate: 0,
+  typoSeed: 1,
+  // Treat a typed `clear` command like #clear
+  autoClear: false,
+  // Fixed-rows viewport: 0 = window grows with content, otherwise older rows scroll off the top
+  terminalRows: 0,
+  // 'step' = jump a row at a time, 'smooth' = ease new rows in
+  scrollMode: 'step',
+  // Character grid: 0 columns = no soft wrapping; tabs expand to stops every `tabSize` cells
+  columns: 0,
+  tabSize: 8,
+  // Playback, shared by the preview and every animated export: plays (0 = loop forever), how long
+  // the empty and the finished terminal stay up, and 'hold', 'fade' or 'erase' before looping
+  loopCount: 0,
+  // Pause between lines, on top of any #wait
+  lineDelay: 300,
+  startHold: 500,
+  endHold: 2000,
+  ending: 'hold',
 };
@@ -0,0 +1,179 @@
+// Timeline of a script: when every keystroke, output block and pause happens, in ms. The live
+// preview plays it back in real time and the exports sample it into frames, so a demo runs at
+// the same pace on screen and in every file.
+import { keystrokeCount, typedLine, keystrokePause, humanKeyDelays, createRandom } from './typing';
+
+// Empty terminal before the first line
+export const START_HOLD = 500;
+
+// Pause after each line before the next one starts, unless the config sets `lineDelay`
+export const LINE_DELAY = 300;
+
+// How long the finished terminal stays up before the ending and the next loop
+export const END_HOLD = 2000;
+
+// Length of the 'fade' ending, and the longest the 'erase' ending may take
+const FADE_TIME = 600;
+const FADE_STEPS = 12;
+const ERASE_TIME = 1000;
+
+// Frame rate exports sample the timeline at unless told otherwise
+export const DEFAULT_FPS = 20;
+
+// A block of instant output appears at once and stays a moment longer the more lines it has,
+// unless a #reveal before it sets the time
+function instantRevealTime(lineCount) {
+  return Math.min(400, 150 + lineCount * Math.min(50, 200 / lineCount));
+}
+
+// Output shown all at once rather than typed: `!!` blocks, or all output in instant mode
+export function isInstantLine(line, outputMode) {
+  return (outputMode === 'instant' && !line.showPrompt) || line.instant;
+}
+
+// Build one play-through of parsed lines (see parseLines). Returns { steps, duration, blocks } where each
+// step { time, line, keys, fade } means: from `time` on, every line before `line` is complete,
+// line `line` shows its first `keys` keystrokes and the cursor sits on it, all at opacity `fade`
+// (1 when absent). `line` equal to the line count is the finished terminal with the cursor on a
+// fresh prompt; it holds for `endHold`, then the ending plays:
+//   'hold'   nothing, the next loop starts from the empty terminal
+//   'fade'   the text fades out
+//   'erase'  the typing runs backwards
+// Typing goes at a steady `typingSpeed`, or with typingRhythm 'human' at a seeded human rhythm
+// around it. Takes the config (typingSpeed, typingRhythm, rhythmSeed, outputMode, lineDelay,
+// startHold, endHold, ending) as options.
+// `blocks` describe the script for the timeline editor, one per typed line or instant output
+// block: { first, last, instant, start, typed, end } with the lines it covers, when it starts,
+// when its typing (or reveal) is done and when the pause after it ends. The finished terminal
+// is step `finishedIndex` and shows from `typedAt` until the ending starts at `endingStart`.
+// An ending leads into the next loop, so the last play-through stops at `endingStart` instead
+// (see loopLayout).
+export function buildTimeline(parsedLines, options = {}) {
+  const {
+    typingSpeed = 50,
+    typingRhythm = 'steady',
+    rhythmSeed = 1,
+    outputMode = 'typing',
+    lineDelay = LINE_DELAY,
+    startHold = START_HOLD,
+    endHold = END_HOLD,
+    ending = 'hold',
+  } = options;
+
+  const steps = [];
+  const blocks = [];
+  const push = (time, line, keys) => {
+    const last = steps[steps.length - 1];
+    if (last && last.line === line && last.keys === keys) return;
+    steps.push({ time, line, keys });
+  };
+
+  push(0, 0, 0);
+  let time = startHold + (parsedLines[0]?.pauseBefore || 0);
+  let lineIdx = 0;
+
+  while (lineIdx < parsedLines.length) {
+    const lineInfo = parsedLines[lineIdx];
+    const lineSpeed = lineInfo.speed ?? typingSpeed;
+    const start = time;
+    push(time, lineIdx, 0);
+
+    let lastIdx = lineIdx;
+    if (isInstantLine(lineInfo, outputMode)) {
+      // Consecutive instant lines appear together, up to a #wait or #clear
+      while (lastIdx + 1 < parsedLines.length && !parsedLines[lastIdx].pauseAfter && !parsedLines[lastIdx].clearAfter &&
+        isInstantLine(parsedLines[lastIdx + 1], outputMode)) {
+        lastIdx++;
+      }
+      push(time, lastIdx, keystrokeCount(parsedLines[lastIdx]));
+      time += lineInfo.reveal ?? instantRevealTime(lastIdx - lineIdx + 1);
+    } else {
+      // One keystroke per `speed` ms, plus the hesitation before a correction; Enter takes one more.
+      // The human rhythm is seeded per line, so editing one line keeps the others' rhythm.
+      const rhythm = typingRhythm === 'human'
+        ? humanKeyDelays(lineInfo, lineSpeed, createRandom(rhythmSeed * 104729 + lineIdx))
+        : null;
+      const totalKeys = keystrokeCount(lineInfo);
+      for (let keyIdx = 0; keyIdx < totalKeys; keyIdx++) {
+        time += (rhythm ? rhythm.keys[keyIdx] : lineSpeed) + keystrokePause(lineInfo, keyIdx);
+        push(time, lineIdx, keyIdx + 1);
+      }
+      time += rhythm ? rhythm.enter : lineSpeed;
+    }
+
+    const block = { first: lineIdx, last: lastIdx, instant: isInstantLine(lineInfo, outputMode), start, typed: time };
+    lineIdx = lastIdx + 1;
+    const { pauseAfter } = parsedLines[lastIdx];
+    if (lineIdx < parsedLines.length) {
+      // The cursor drops to the next line while waiting, unless that line starts a new screen:
+      // then the old screen stays up until the clear
+      if ((parsedLines[lineIdx].screen || 0) === (parsedLines[lastIdx].screen || 0)) {
+        push(time, lineIdx, 0);
+      }
+      time += lineDelay + pauseAfter;
+    } else {
+      // A trailing #wait lingers on the last line before the final prompt appears
+      time += pauseAfter;
+    }
+    blocks.push({ ...block, end: time });
+  }
+
+  const typedAt = time;
+  const typed = steps.slice(1);
+  const finishedIndex = steps.length;
+  steps.push({ time, line: parsedLines.length, keys: 0 });
+  time += endHold;
+  const endingStart = time;
+
+  if (ending === 'fade') {
+    for (let i = 1; i <= FADE_STEPS; i++) {
+      steps.push({ time, line: parsedLines.length, keys: 0, fade: 1 - i / FADE_STEPS });
+      time += FADE_TIME / FADE_STEPS;
+    }
+  } else if (ending === 'erase' && typed.length > 0) {
+    // Back through every step to the empty terminal, quickly and at an even pace
+    const erase = [...typed.reverse(), steps[0]];
+    const interval = Math.min(30, ERASE_TIME / erase.length);
+    for (const step of erase) {
+      steps.push({ time, line: step.line, keys: step.keys });
+      time += interval;
+    }
+  }
+
+  return { steps, duration: time, blocks, typedAt, finishedIndex, endingStart };
+}
+
+// How an export holds `loopCount` plays (0 forever) of an animation with `ending`:
+// { repeat, finalEnding, loop } are the play-throughs to write into its frames, whether the last
+// of them plays the ending, and the loop count to encode. One play-through loops by itself
+// unless a fade or erase ending has to be left off the last play, then they're written out and
+// played once.
+export function loopLayout(loopCount, ending = 'hold') {
+  if (loopCount === 0) return { repeat: 1, finalEnding: true, loop: 0 };
+  if (ending === 'hold') return { repeat: 1, finalEnding: false, loop: loopCount };
+  return { repeat: loopCount, finalEnding: false, loop: 1 };
+}
+
+// Index of the step showing at `time`
+export function stepIndexAt(timeline, time) {
+  let index = 0;
+  while (index + 1 < timeline.steps.length && timeline.steps[index + 1].time <= time) index++;
+  return index;
+}
+
+// Lines on screen at a step: { text, segments, showPrompt, complete } for every line up to and
+// including the cursor line, which shows its first `keys` keystrokes (nothing yet while the
+// cursor waits on it between lines). Only a step past the last line adds the final prompt.
+export function timelineLines(parsedLines, step) {
+  const lines = [];
+  for (let i = 0; i <= step.line && i < parsedLines.length; i++) {
+    const total = keystrokeCount(parsedLines[i]);
+    const keys = i < step.line ? total : step.keys;
+    lines.push({
+      ...typedLine(parsedLines[i], keys),
+      showPrompt: parsedLines[i].showPrompt,
+      complete: keys === total,
+    });
+  }
+  return lines;
+}
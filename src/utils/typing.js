@@ -0,0 +1,222 @@
+// Keystroke model for typed lines: typos, backspacing and the hesitation before a correction
+import { sliceSegments, emptyStyle } from './ansi';
+
+// Hesitation before the first backspace of a correction
+export const TYPO_PAUSE = 350;
+
+// Backspace placeholder produced by the `{<<}` markup
+export const BACKSPACE = '\b';
+
+// Small seeded PRNG (mulberry32) so typos are identical in the preview and every export
+export function createRandom(seed) {
+  let state = (Number(seed) >>> 0) || 1;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Flatten segments into per-character { char, style } entries
+function toChars(segments) {
+  const chars = [];
+  for (const segment of segments) {
+    for (const char of segment.text) {
+      chars.push({ char, style: segment.style });
+    }
+  }
+  return chars;
+}
+
+function toSegments(chars) {
+  const segments = [];
+  for (const { char, style } of chars) {
+    const last = segments[segments.length - 1];
+    if (last && last.style === style) {
+      last.text += char;
+    } else {
+      segments.push({ text: char, style });
+    }
+  }
+  return segments;
+}
+
+// Turn segments containing backspace characters into keystrokes.
+// Returns null when the line has nothing to correct (plain typing is enough).
+export function buildKeystrokes(segments) {
+  if (!segments.some(s => s.text.includes(BACKSPACE))) return null;
+
+  const keystrokes = [];
+  for (const { char, style } of toChars(segments)) {
+    if (char === BACKSPACE) {
+      const previous = keystrokes[keystrokes.length - 1];
+      keystrokes.push({
+        backspace: true,
+        // Pause once when the typo is noticed, not before every deletion
+        pause: previous && !previous.backspace ? TYPO_PAUSE : 0,
+      });
+    } else {
+      keystrokes.push({ char, style, pause: 0 });
+    }
+  }
+  return keystrokes;
+}
+
+// Visible text and segments after the first `count` keystrokes
+export function applyKeystrokes(keystrokes, count = keystrokes.length) {
+  const buffer = [];
+  for (let i = 0; i < count && i < keystrokes.length; i++) {
+    const key = keystrokes[i];
+    if (key.backspace) {
+      buffer.pop();
+    } else {
+      buffer.push(key);
+    }
+  }
+  return {
+    text: buffer.map(k => k.char).join(''),
+    segments: toSegments(buffer),
+  };
+}
+
+// QWERTY neighbours used for believable wrong keys
+const keyRows = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+function neighbourKey(char, random) {
+  const lower = char.toLowerCase();
+  for (let row = 0; row < keyRows.length; row++) {
+    const col = keyRows[row].indexOf(lower);
+    if (col === -1) continue;
+
+    const candidates = [keyRows[row][col - 1], keyRows[row][col + 1]].filter(Boolean);
+    const pick = candidates[Math.floor(random() * candidates.length)];
+    return char === lower ? pick : pick.toUpperCase();
+  }
+  return null;
+}
+
+const isLetter = (char) => /^[a-z]$/i.test(char);
+
+// Randomly insert corrected mistakes into a line's keystrokes.
+// `rate` is the chance per letter of making a typo.
+export function addAutoTypos(segments, rate, random) {
+  const chars = toChars(segments);
+  const keystrokes = [];
+  let madeTypo = false;
+
+  for (let i = 0; i < chars.length; i++) {
+    const { char, style } = chars[i];
+
+    if (isLetter(char) && random() < rate) {
+      let wrong;
+      const next = chars[i + 1];
+      if (next && isLetter(next.char) && next.char !== char && random() < 0.4) {
+        // Transposed letters: "nmpa" for "nmap"
+        wrong = [next, chars[i]];
+      } else {
+        // Neighbouring key, sometimes noticed only after the next character
+        const key = neighbourKey(char, random);
+        wrong = [{ char: key, style }];
+        if (next && next.char !== ' ' && random() < 0.5) {
+          wrong.push(next);
+        }
+      }
+
+      for (const typo of wrong) {
+        keystrokes.push({ char: typo.char, style: typo.style, pause: 0 });
+      }
+      for (let d = 0; d < wrong.length; d++) {
+        keystrokes.push({ backspace: true, pause: d === 0 ? TYPO_PAUSE : 0 });
+      }
+      madeTypo = true;
+    }
+
+    keystrokes.push({ char, style, pause: 0 });
+  }
+
+  return madeTypo ? keystrokes : null;
+}
+
+// Number of keystrokes needed to type a parsed line
+export function keystrokeCount(line) {
+  return line.keystrokes ? line.keystrokes.length : line.text.length;
+}
+
+// Display text and segments of a parsed line after `count` keystrokes
+export function typedLine(line, count) {
+  if (line.keystrokes) {
+    return applyKeystrokes(line.keystrokes, count);
+  }
+
+  const segments = line.segments || [{ text: line.text, style: emptyStyle }];
+  return {
+    text: line.text.substring(0, count),
+    segments: sliceSegments(segments, count),
+  };
+}
+
+// Extra hesitation before keystroke `index` of a parsed line
+export function keystrokePause(line, index) {
+  return line.keystrokes?.[index]?.pause || 0;
+}
+
+// Keystrokes of a parsed line as characters, BACKSPACE for a deletion
+function keystrokeChars(line) {
+  return line.keystrokes
+    ? line.keystrokes.map(key => (key.backspace ? BACKSPACE : key.char))
+    : [...line.text];
+}
+
+// Words typed in one quick burst, like a well-practised command
+const commonWords = new Set([
+  'cd', 'ls', 'cat', 'echo', 'git', 'sudo', 'grep', 'npm', 'run', 'install', 'ssh', 'curl', 'docker',
+  'python', 'python3', 'pip', 'make', 'cargo', 'node', 'yarn', 'kubectl', 'the', 'and', 'to', 'of',
+  'in', 'is', 'it', 'for', 'on', 'with', 'status', 'commit', 'push', 'pull', 'add', 'clone', 'nmap',
+]);
+
+const isWordChar = char => /^[a-z0-9_]$/i.test(char);
+
+// The word keystroke `index` belongs to, read from what is on screen before it and the keys after it
+function wordAt(chars, index) {
+  let start = index;
+  let depth = 0;
+  while (start > 0) {
+    const previous = chars[start - 1];
+    if (previous === BACKSPACE) {
+      depth++;
+    } else if (depth > 0) {
+      depth--;
+    } else if (!isWordChar(previous)) {
+      break;
+    }
+    start--;
+  }
+  let end = index;
+  while (end < chars.length && isWordChar(chars[end])) end++;
+  return applyKeystrokes(chars.slice(start, end).map(char => (char === BACKSPACE ? { backspace: true } : { char }))).text;
+}
+
+// Human typing rhythm: how long each keystroke of a line takes at `speed`, and the pause before
+// Enter. Familiar words come out in bursts, the next word after a space needs a moment's thought,
+// shifted keys and symbols are slower, and every key gets some jitter. Seeded like the typos so
+// the preview and every export share the rhythm.
+export function humanKeyDelays(line, speed, random) {
+  const chars = keystrokeChars(line);
+  const keys = chars.map((char, index) => {
+    let factor = 0.7 + 0.6 * (random() + random()) / 2;
+    if (char === BACKSPACE) {
+      factor *= 0.6;
+    } else if (chars[index - 1] === ' ' && char !== ' ') {
+      factor *= 1.8;
+    } else if (isWordChar(char) && commonWords.has(wordAt(chars, index).toLowerCase())) {
+      factor *= 0.6;
+    } else if (!isWordChar(char) && char !== ' ') {
+      factor *= 1.5;
+    }
+    if (char !== char.toLowerCase()) factor *= 1.2;
+    return Math.round(speed * factor);
+  });
+  return { keys, enter: Math.round(speed * (2 + random())) };
+}
@@ -0,0 +1,166 @@
+// Keyboard sounds for the typing animation, synthesized with Web Audio so nothing has to be
+// downloaded: a click for every keystroke of a command, a heavier one for Enter and, for CRT
+// themes, a low mains hum. The preview plays them live off the playhead and video exports render
+// the same sounds offline into an audio track, both from the script's timeline.
+import { createRandom } from './typing';
+
+// Overall level, leaving headroom for clicks that land on top of each other
+const VOLUME = 0.6;
+
+// Sounds of one play-through of a timeline (see buildTimeline): { time, kind, variant } for every
+// keystroke ('key') and Enter ('enter') of a typed command. Output isn't typed on a keyboard, so
+// it stays silent, as does the 'erase' ending. `variant` (0-1) varies the pitch and level of
+// each key, seeded so every export sounds the same.
+export function timelineSounds(parsedLines, timeline) {
+  const commands = new Map(timeline.blocks
+    .filter(block => !block.instant && parsedLines[block.first].showPrompt)
+    .map(block => [block.first, block]));
+
+  const sounds = [];
+  for (const step of timeline.steps) {
+    const block = commands.get(step.line);
+    if (block && step.keys > 0 && step.time > block.start && step.time < block.typed) {
+      sounds.push({ time: step.time, kind: 'key' });
+    }
+  }
+  for (const block of commands.values()) {
+    sounds.push({ time: block.typed, kind: 'enter' });
+  }
+
+  const random = createRandom(1);
+  return sounds
+    .sort((a, b) => a.time - b.time)
+    .map(sound => ({ ...sound, variant: random() }));
+}
+
+// Master output for the sounds on an audio context
+export function createSoundOutput(ctx) {
+  const output = ctx.createGain();
+  output.gain.value = VOLUME;
+  output.connect(ctx.destination);
+  return output;
+}
+
+// White noise the clicks are filtered from, one buffer per context
+const noiseBuffers = new WeakMap();
+
+function noiseBuffer(ctx) {
+  let buffer = noiseBuffers.get(ctx);
+  if (!buffer) {
+    buffer = ctx.createBuffer(1, Math.round(ctx.sampleRate * 0.1), ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    const random = createRandom(7);
+    for (let i = 0; i < data.length; i++) data[i] = random() * 2 - 1;
+    noiseBuffers.set(ctx, buffer);
+  }
+  return buffer;
+}
+
+// Gain that jumps to `level` at `when` and dies away over `decay` seconds
+function envelope(ctx, destination, when, level, decay) {
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0, when);
+  gain.gain.linearRampToValueAtTime(level, when + 0.001);
+  gain.gain.exponentialRampToValueAtTime(0.0001, when + decay);
+  gain.connect(destination);
+  return gain;
+}
+
+// A burst of band-passed noise: the switch clicking
+function click(ctx, destination, when, { frequency, q, level, decay }) {
+  const source = ctx.createBufferSource();
+  source.buffer = noiseBuffer(ctx);
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'bandpass';
+  filter.frequency.value = frequency;
+  filter.Q.value = q;
+  source.connect(filter).connect(envelope(ctx, destination, when, level, decay));
+  source.start(when);
+  source.stop(when + decay + 0.01);
+}
+
+// A short falling tone: the keycap bottoming out
+function thock(ctx, destination, when, { frequency, level, decay }) {
+  const oscillator = ctx.createOscillator();
+  oscillator.frequency.setValueAtTime(frequency, when);
+  oscillator.frequency.exponentialRampToValueAtTime(frequency / 2, when + decay);
+  oscillator.connect(envelope(ctx, destination, when, level, decay));
+  oscillator.start(when);
+  oscillator.stop(when + decay + 0.01);
+}
+
+const voices = {
+  key: (ctx, destination, when, variant) => {
+    click(ctx, destination, when, { frequency: 3000 + variant * 1500, q: 1.2, level: 0.25 + variant * 0.1, decay: 0.03 });
+    thock(ctx, destination, when, { frequency: 160 + variant * 40, level: 0.12, decay: 0.04 });
+  },
+  enter: (ctx, destination, when, variant) => {
+    click(ctx, destination, when, { frequency: 1400 + variant * 300, q: 0.8, level: 0.4, decay: 0.06 });
+    thock(ctx, destination, when, { frequency: 110, level: 0.25, decay: 0.08 });
+    // The wide key's stabilizer rattles as it comes back up
+    click(ctx, destination, when + 0.07, { frequency: 2200, q: 1, level: 0.12, decay: 0.03 });
+  },
+};
+
+// Schedule one sound from timelineSounds at `when` (seconds on the context's clock)
+export function playSound(ctx, destination, sound, when) {
+  voices[sound.kind](ctx, destination, when, sound.variant);
+}
+
+// Start the CRT hum at `when`: the mains frequency and a couple of its harmonics, faded in.
+// Returns a function that fades it out and stops it.
+export function startHum(ctx, destination, when = ctx.currentTime) {
+  const output = ctx.createGain();
+  output.gain.setValueAtTime(0, when);
+  output.gain.linearRampToValueAtTime(0.05, when + 0.3);
+  output.connect(destination);
+
+  const oscillators = [[60, 1], [120, 0.5], [180, 0.25]].map(([frequency, level]) => {
+    const oscillator = ctx.createOscillator();
+    oscillator.frequency.value = frequency;
+    const gain = ctx.createGain();
+    gain.gain.value = level;
+    oscillator.connect(gain).connect(output);
+    oscillator.start(when);
+    return oscillator;
+  });
+
+  return () => {
+    const now = ctx.currentTime;
+    output.gain.cancelScheduledValues(now);
+    output.gain.setValueAtTime(output.gain.value, now);
+    output.gain.linearRampToValueAtTime(0, now + 0.1);
+    oscillators.forEach(oscillator => oscillator.stop(now + 0.1));
+  };
+}
+
+// Render the sound track of `repeat` play-throughs offline, for muxing into a video:
+// resolves to { sampleRate, samples } with mono PCM samples as long as the animation. Without
+// `finalEnding` the last play-through stops where its ending would start, as its frames do.
+export async function renderSoundTrack(parsedLines, timeline, options = {}) {
+  const {
+    clicks = true,
+    hum = false,
+    repeat = 1,
+    finalEnding = true,
+    sampleRate = 48000,
+  } = options;
+
+  const duration = (repeat - 1) * timeline.duration + (finalEnding ? timeline.duration : timeline.endingStart);
+  const length = Math.max(1, Math.ceil(duration / 1000 * sampleRate));
+  const ctx = new OfflineAudioContext(1, length, sampleRate);
+  const output = createSoundOutput(ctx);
+
+  if (clicks) {
+    const sounds = timelineSounds(parsedLines, timeline);
+    for (let pass = 0; pass < repeat; pass++) {
+      for (const sound of sounds) {
+        playSound(ctx, output, sound, (pass * timeline.duration + sound.time) / 1000);
+      }
+    }
+  }
+  if (hum) startHum(ctx, output, 0);
+
+  const buffer = await ctx.startRendering();
+  return { sampleRate, samples: buffer.getChannelData(0) };
+}
@@ -0,0 +1,337 @@
+// MP4/WebM video export. Frames are resampled to a constant frame rate and encoded with WebCodecs,
+// falling back to a real-time MediaRecorder capture in browsers without it. An optional sound
+// track (see renderSoundTrack) is encoded alongside as AAC or Opus.
+import { createCanvas } from './canvasRenderer';
+import { createMp4Muxer } from './mp4Muxer';
+import { createWebMMuxer } from './webmMuxer';
+
+export const videoFormats = {
+  mp4: {
+    label: 'MP4',
+    extension: 'mp4',
+    codecs: ['avc1.640034', 'avc1.640033', 'avc1.640028', 'avc1.42E01F'],
+    audioCodec: { codec: 'mp4a.40.2', bitrate: 128000 },
+    recorderTypes: ['video/mp4;codecs=avc1', 'video/mp4'],
+  },
+  webm: {
+    label: 'WebM',
+    extension: 'webm',
+    codecs: ['vp09.00.50.08', 'vp09.00.41.08', 'vp09.00.10.08', 'vp8'],
+    audioCodec: { codec: 'opus', bitrate: 96000 },
+    recorderTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+  },
+};
+
+// WebM codec ids for the WebCodecs codec strings
+function webmCodecId(codec) {
+  return codec.startsWith('vp09') ? 'V_VP9' : 'V_VP8';
+}
+
+// Matroska wants the Opus header as codec private data; used when the encoder doesn't supply one
+function opusHead(channels, sampleRate) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(new TextEncoder().encode('OpusHead'));
+  head[8] = 1; // version
+  head[9] = channels;
+  view.setUint16(10, 312, true); // pre-skip
+  view.setUint32(12, sampleRate, true);
+  return head;
+}
+
+// Map each output tick to the source frame showing at that time, so variable
+// per-frame delays play back at a constant frame rate
+export function resampleFrames(delays, fps) {
+  const total = delays.reduce((sum, delay) => sum + delay, 0);
+  const count = Math.max(1, Math.round(total * fps / 1000));
+  const indices = [];
+
+  let frameIndex = 0;
+  let frameEnd = delays[0];
+  for (let tick = 0; tick < count; tick++) {
+    const time = tick * 1000 / fps;
+    while (time >= frameEnd && frameIndex < delays.length - 1) {
+      frameIndex++;
+      frameEnd += delays[frameIndex];
+    }
+    indices.push(frameIndex);
+  }
+  return indices;
+}
+
+// Walk the frame source once, yielding every output tick with the frame it shows.
+// `changed` marks the first tick of each source frame, the only one that needs a redraw.
+async function* resampledTicks(source, indices) {
+  let tick = 0;
+  for await (const frame of source.frames()) {
+    let changed = true;
+    while (tick < indices.length && indices[tick] === frame.index) {
+      yield { tick, canvas: frame.canvas, changed };
+      changed = false;
+      tick++;
+    }
+  }
+}
+
+// Most encoders need even dimensions
+function evenSize(value) {
+  return Math.max(2, Math.floor(value / 2) * 2);
+}
+
+async function findCodec(format, width, height, bitrate, fps) {
+  for (const codec of videoFormats[format].codecs) {
+    const config = { codec, width, height, bitrate, framerate: fps };
+    if (format === 'mp4') config.avc = { format: 'avc' };
+    try {
+      const { supported } = await VideoEncoder.isConfigSupported(config);
+      if (supported) return config;
+    } catch {
+      // Malformed or unknown codec string, try the next one
+    }
+  }
+  return null;
+}
+
+// Audio goes without (rather than failing the export) where the browser can't encode it
+async function findAudioCodec(format, sampleRate) {
+  if (typeof AudioEncoder === 'undefined') return null;
+  const config = { ...videoFormats[format].audioCodec, sampleRate, numberOfChannels: 1 };
+  try {
+    const { supported } = await AudioEncoder.isConfigSupported(config);
+    return supported ? config : null;
+  } catch {
+    return null;
+  }
+}
+
+// Encode mono PCM `audio` ({ sampleRate, samples }) into track `trackIndex`, cut to `durationMs`
+async function encodeAudio(audio, audioConfig, muxer, trackIndex, durationMs) {
+  let encodeError = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      muxer.addChunk(trackIndex, data, {
+        timestamp: chunk.timestamp,
+        duration: chunk.duration ?? 0,
+        description: metadata?.decoderConfig?.description ?? null,
+      });
+    },
+    error: (e) => {
+      encodeError = e;
+    },
+  });
+  encoder.configure(audioConfig);
+
+  const { sampleRate, samples } = audio;
+  const length = Math.min(samples.length, Math.round(durationMs * sampleRate / 1000));
+  const blockSize = sampleRate / 10;
+  for (let offset = 0; offset < length; offset += blockSize) {
+    if (encodeError) throw encodeError;
+    const data = samples.slice(offset, Math.min(length, offset + blockSize));
+    const audioData = new AudioData({
+      format: 'f32-planar',
+      sampleRate,
+      numberOfFrames: data.length,
+      numberOfChannels: 1,
+      timestamp: Math.round(offset * 1e6 / sampleRate),
+      data,
+    });
+    encoder.encode(audioData);
+    audioData.close();
+  }
+
+  await encoder.flush();
+  encoder.close();
+  if (encodeError) throw encodeError;
+}
+
+async function encodeWithWebCodecs(source, indices, encoderConfig, options) {
+  const { format, fps, width, height, audio, audioConfig, signal, onProgress } = options;
+
+  const tracks = format === 'mp4'
+    ? [{ type: 'video', width, height }]
+    : [{ type: 'video', codecId: webmCodecId(encoderConfig.codec), width, height }];
+  if (audioConfig) {
+    tracks.push(format === 'mp4'
+      ? { type: 'audio', sampleRate: audioConfig.sampleRate, channels: 1 }
+      : { type: 'audio', codecId: 'A_OPUS', sampleRate: audioConfig.sampleRate, channels: 1 });
+  }
+  const muxer = format === 'mp4' ? createMp4Muxer({ tracks }) : createWebMMuxer({ tracks });
+
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, metadata) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      muxer.addChunk(0, data, {
+        timestamp: chunk.timestamp,
+        duration: chunk.duration ?? 0,
+        keyframe: chunk.type === 'key',
+        description: metadata?.decoderConfig?.description ?? null,
+      });
+    },
+    error: (e) => {
+      encodeError = e;
+    },
+  });
+  encoder.configure(encoderConfig);
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  const frameDuration = 1e6 / fps;
+  const keyframeInterval = fps * 2;
+
+  for await (const { tick, canvas: frameCanvas, changed } of resampledTicks(source, indices)) {
+    if (encodeError) throw encodeError;
+    if (signal?.aborted) {
+      encoder.close();
+      signal.throwIfAborted();
+    }
+
+    if (changed) {
+      ctx.drawImage(frameCanvas, 0, 0, width, height);
+    }
+
+    const videoFrame = new VideoFrame(canvas, {
+      timestamp: Math.round(tick * frameDuration),
+      duration: Math.round(frameDuration),
+    });
+    encoder.encode(videoFrame, { keyFrame: tick % keyframeInterval === 0 });
+    videoFrame.close();
+
+    // Don't queue up more frames than the encoder can keep in memory
+    while (encoder.encodeQueueSize > 8) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+
+    if (onProgress) {
+      onProgress((tick + 1) / indices.length);
+    }
+    if (tick % 10 === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  await encoder.flush();
+  encoder.close();
+  if (encodeError) throw encodeError;
+
+  const durationMs = indices.length * 1000 / fps;
+  if (audioConfig) {
+    await encodeAudio(audio, audioConfig, muxer, 1, durationMs);
+    if (format === 'webm' && !tracks[1].codecPrivate) {
+      tracks[1].codecPrivate = opusHead(1, audioConfig.sampleRate);
+    }
+  }
+  return muxer.finish(durationMs);
+}
+
+// Fallback: play the frames (and the sound track) into a captured canvas in real time
+async function recordWithMediaRecorder(source, indices, options) {
+  const { format, fps, bitrate, width, height, audio, signal, onProgress } = options;
+
+  const mimeType = videoFormats[format].recorderTypes.find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) {
+    throw new Error(`${videoFormats[format].label} video is not supported in this browser`);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+
+  let audioContext = null;
+  let audioSource = null;
+  if (audio) {
+    audioContext = new AudioContext({ sampleRate: audio.sampleRate });
+    const buffer = audioContext.createBuffer(1, audio.samples.length, audio.sampleRate);
+    buffer.copyToChannel(audio.samples, 0);
+    audioSource = audioContext.createBufferSource();
+    audioSource.buffer = buffer;
+    const destination = audioContext.createMediaStreamDestination();
+    audioSource.connect(destination);
+    destination.stream.getAudioTracks().forEach(audioTrack => stream.addTrack(audioTrack));
+  }
+  const stopAudio = () => {
+    if (audioContext) audioContext.close();
+  };
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+  const parts = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) parts.push(event.data);
+  };
+  const stopped = new Promise(resolve => {
+    recorder.onstop = resolve;
+  });
+
+  recorder.start();
+  if (audioSource) audioSource.start();
+  const start = performance.now();
+  for await (const { tick, canvas: frameCanvas, changed } of resampledTicks(source, indices)) {
+    if (signal?.aborted) {
+      recorder.stop();
+      track.stop();
+      stopAudio();
+      signal.throwIfAborted();
+    }
+    if (changed) {
+      ctx.drawImage(frameCanvas, 0, 0, width, height);
+    }
+    track.requestFrame();
+
+    if (onProgress) {
+      onProgress((tick + 1) / indices.length);
+    }
+    const wait = start + (tick + 1) * 1000 / fps - performance.now();
+    await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+  stopAudio();
+
+  return new Blob(parts, { type: mimeType.split(';')[0] });
+}
+
+// Fails with a NotSupportedError when the browser can't encode the format. Workers have no
+// MediaRecorder (it needs the page's DOM), so they pass `recorderFallback: false` and leave
+// the real-time fallback to the page.
+export async function createVideo(source, options = {}) {
+  const {
+    format = 'mp4',
+    fps = 30,
+    bitrate = 5_000_000,
+    audio = null,
+    recorderFallback = true,
+    signal,
+    onProgress,
+  } = options;
+
+  if (!source || source.count === 0) {
+    throw new Error('No frames provided');
+  }
+
+  const width = evenSize(options.width || source.width);
+  const height = evenSize(options.height || source.height);
+  const indices = resampleFrames(source.delays, fps);
+  const settings = { format, fps, bitrate, width, height, audio, signal, onProgress };
+
+  if (typeof VideoEncoder !== 'undefined') {
+    const encoderConfig = await findCodec(format, width, height, bitrate, fps);
+    if (encoderConfig) {
+      const audioConfig = audio && await findAudioCodec(format, audio.sampleRate);
+      return encodeWithWebCodecs(source, indices, encoderConfig, { ...settings, audioConfig });
+    }
+  }
+  if (recorderFallback && typeof MediaRecorder !== 'undefined') {
+    return recordWithMediaRecorder(source, indices, settings);
+  }
+  throw new DOMException('Video export is not supported in this browser', 'NotSupportedError');
+}
+
+export default createVideo;
@@ -0,0 +1,209 @@
+// Minimal WebM (Matroska) muxer for WebCodecs output. Chunks are collected in memory and written
+// on finish: one cluster per video keyframe, with a seek head and cues so players can seek.
+const textEncoder = new TextEncoder();
+
+// Element IDs
+const EBML = 0x1a45dfa3;
+const SEGMENT = 0x18538067;
+const SEEK_HEAD = 0x114d9b74;
+const SEEK = 0x4dbb;
+const SEEK_ID = 0x53ab;
+const SEEK_POSITION = 0x53ac;
+const INFO = 0x1549a966;
+const TRACKS = 0x1654ae6b;
+const TRACK_ENTRY = 0xae;
+const VIDEO = 0xe0;
+const AUDIO = 0xe1;
+const CLUSTER = 0x1f43b675;
+const CUES = 0x1c53bb6b;
+
+function idBytes(id) {
+  const length = id >= 0x1000000 ? 4 : id >= 0x10000 ? 3 : id >= 0x100 ? 2 : 1;
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = (id >>> (8 * (length - 1 - i))) & 0xff;
+  }
+  return bytes;
+}
+
+// Variable-length size with its length marker
+function sizeBytes(size) {
+  let length = 1;
+  while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+// Big-endian unsigned integer; `length` 0 means as few bytes as possible
+function uintBytes(value, length = 0) {
+  let size = length;
+  if (!size) {
+    size = 1;
+    while (size < 8 && value >= 2 ** (8 * size)) size++;
+  }
+  const bytes = new Uint8Array(size);
+  let rest = value;
+  for (let i = size - 1; i >= 0; i--) {
+    bytes[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  return bytes;
+}
+
+function floatBytes(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+// Elements are flat lists of byte arrays, so encoded frames are never copied before the final Blob
+function partsSize(parts) {
+  return parts.reduce((sum, part) => sum + part.byteLength, 0);
+}
+
+function element(id, children) {
+  const parts = children.flat(Infinity);
+  return [idBytes(id), sizeBytes(partsSize(parts)), ...parts];
+}
+
+const uint = (id, value, length) => element(id, [uintBytes(value, length)]);
+const float = (id, value) => element(id, [floatBytes(value)]);
+const string = (id, value) => element(id, [textEncoder.encode(value)]);
+const binary = (id, bytes) => element(id, [bytes]);
+
+function trackEntry(track, number) {
+  const children = [
+    uint(0xd7, number), // TrackNumber
+    uint(0x73c5, number), // TrackUID
+    string(0x86, track.codecId), // CodecID
+    uint(0x83, track.type === 'video' ? 1 : 2), // TrackType
+  ];
+  if (track.codecPrivate) {
+    children.push(binary(0x63a2, track.codecPrivate));
+  }
+  if (track.type === 'video') {
+    children.push(element(VIDEO, [
+      uint(0xb0, track.width), // PixelWidth
+      uint(0xba, track.height), // PixelHeight
+    ]));
+  } else {
+    children.push(element(AUDIO, [
+      float(0xb5, track.sampleRate), // SamplingFrequency
+      uint(0x9f, track.channels), // Channels
+    ]));
+  }
+  return element(TRACK_ENTRY, children);
+}
+
+function simpleBlock(trackNumber, relativeTime, keyframe, data) {
+  const header = new Uint8Array(4);
+  header[0] = 0x80 | trackNumber;
+  new DataView(header.buffer).setInt16(1, relativeTime);
+  header[3] = keyframe ? 0x80 : 0;
+  return element(0xa3, [header, data]);
+}
+
+// `tracks`: [{ type: 'video', codecId: 'V_VP9', width, height }] or
+// [{ type: 'audio', codecId: 'A_OPUS', sampleRate, channels, codecPrivate }]
+export function createWebMMuxer({ tracks }) {
+  const chunks = [];
+
+  return {
+    // `timestamp` in microseconds; `description` (codec private data) may arrive with the first chunk
+    addChunk(trackIndex, data, { timestamp, keyframe = true, description = null }) {
+      if (description && !tracks[trackIndex].codecPrivate) {
+        tracks[trackIndex].codecPrivate = description;
+      }
+      chunks.push({ trackIndex, data, time: Math.round(timestamp / 1000), keyframe, order: chunks.length });
+    },
+
+    finish(durationMs) {
+      chunks.sort((a, b) => a.time - b.time || a.order - b.order);
+      const videoIndex = tracks.findIndex(t => t.type === 'video');
+
+      // Start a cluster at every video keyframe (and before block offsets would overflow 16 bits)
+      const clusters = [];
+      for (const chunk of chunks) {
+        const current = clusters[clusters.length - 1];
+        const startsCluster = !current ||
+          (chunk.trackIndex === videoIndex && chunk.keyframe) ||
+          chunk.time - current.time > 30000;
+        if (startsCluster) {
+          clusters.push({ time: chunk.time, blocks: [], cue: chunk.trackIndex === videoIndex && chunk.keyframe });
+        }
+        const cluster = clusters[clusters.length - 1];
+        cluster.blocks.push(simpleBlock(chunk.trackIndex + 1, chunk.time - cluster.time, chunk.keyframe, chunk.data));
+      }
+
+      const info = element(INFO, [
+        uint(0x2ad7b1, 1000000), // TimecodeScale: 1ms
+        string(0x4d80, 'TermNova'), // MuxingApp
+        string(0x5741, 'TermNova'), // WritingApp
+        float(0x4489, durationMs), // Duration
+      ]);
+      const trackList = element(TRACKS, tracks.map((track, i) => trackEntry(track, i + 1)));
+      const clusterElements = clusters.map(cluster => element(CLUSTER, [
+        uint(0xe7, cluster.time), // Timecode
+        cluster.blocks,
+      ]));
+
+      // Positions are relative to the segment payload; the seek head uses fixed-size values so its
+      // own size is known before the positions are
+      const hasCues = clusters.some(cluster => cluster.cue);
+      const seekHead = (positions) => element(SEEK_HEAD, [
+        [INFO, positions.info],
+        [TRACKS, positions.tracks],
+        ...(hasCues ? [[CUES, positions.cues]] : []),
+      ].map(([id, position]) => element(SEEK, [
+        binary(SEEK_ID, idBytes(id)),
+        uint(SEEK_POSITION, position, 8),
+      ])));
+
+      const seekHeadSize = partsSize(seekHead({ info: 0, tracks: 0, cues: 0 }));
+      const infoPosition = seekHeadSize;
+      const tracksPosition = infoPosition + partsSize(info);
+      let position = tracksPosition + partsSize(trackList);
+
+      const cuePoints = [];
+      clusters.forEach((cluster, i) => {
+        if (cluster.cue) {
+          cuePoints.push(element(0xbb, [ // CuePoint
+            uint(0xb3, cluster.time), // CueTime
+            element(0xb7, [ // CueTrackPositions
+              uint(0xf7, videoIndex + 1), // CueTrack
+              uint(0xf1, position), // CueClusterPosition
+            ]),
+          ]));
+        }
+        position += partsSize(clusterElements[i]);
+      });
+      // Cues need at least one point, so audio-only files go without
+      const cues = hasCues ? element(CUES, cuePoints) : [];
+
+      const header = element(EBML, [
+        uint(0x4286, 1), // EBMLVersion
+        uint(0x42f7, 1), // EBMLReadVersion
+        uint(0x42f2, 4), // EBMLMaxIDLength
+        uint(0x42f3, 8), // EBMLMaxSizeLength
+        string(0x4282, 'webm'), // DocType
+        uint(0x4287, 4), // DocTypeVersion
+        uint(0x4285, 2), // DocTypeReadVersion
+      ]);
+      const segment = element(SEGMENT, [
+        seekHead({ info: infoPosition, tracks: tracksPosition, cues: position }),
+        info,
+        trackList,
+        clusterElements,
+        cues,
+      ]);
+
+      return new Blob([...header, ...segment], { type: 'video/webm' });
+    },
+  };
+}
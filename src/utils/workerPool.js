@@ -0,0 +1,98 @@
+// Pool of export workers (exportWorker.js): frames are rasterized in parallel and encoded off
+// the main thread. Terminating the pool aborts whatever it is running.
+
+export function supportsExportWorkers() {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof OffscreenCanvas.prototype.convertToBlob === 'function' &&
+    typeof OffscreenCanvas.prototype.transferToImageBitmap === 'function';
+}
+
+export function abortError() {
+  return new DOMException('Export cancelled', 'AbortError');
+}
+
+export function createWorkerPool(size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))) {
+  const tasks = new Map();
+  let nextId = 1;
+
+  const workers = Array.from({ length: size }, () => {
+    const worker = new Worker(new URL('./exportWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const task = tasks.get(data.id);
+      if (!task) return;
+
+      if (data.type === 'progress') {
+        if (task.onProgress) task.onProgress(data.value);
+      } else if (data.type === 'stats') {
+        if (task.onStats) task.onStats(data.stats);
+      } else {
+        tasks.delete(data.id);
+        if (data.type === 'done') {
+          task.resolve(data.result);
+        } else {
+          // Keep the name (e.g. NotSupportedError) so callers can tell failures apart
+          const error = new Error(data.message);
+          if (data.name) error.name = data.name;
+          task.reject(error);
+        }
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      for (const [id, task] of tasks) {
+        if (task.worker === worker) {
+          tasks.delete(id);
+          task.reject(new Error(event.message || 'Export worker failed'));
+        }
+      }
+    };
+    return worker;
+  });
+
+  return {
+    size,
+
+    run(workerIndex, type, payload, { transfer = [], onProgress, onStats } = {}) {
+      const worker = workers[workerIndex % size];
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        tasks.set(id, { worker, resolve, reject, onProgress, onStats });
+        worker.postMessage({ id, type, payload }, transfer);
+      });
+    },
+
+    terminate() {
+      workers.forEach(worker => worker.terminate());
+      for (const task of tasks.values()) {
+        task.reject(abortError());
+      }
+      tasks.clear();
+    },
+  };
+}
+
+// Stylesheet the page loads its web fonts from, for the workers to register the same faces
+function fontStylesheetUrl() {
+  return document.querySelector('link[rel="stylesheet"][href*="fonts.googleapis.com"]')?.href || null;
+}
+
+// Stream the animation described by `job` ({ parsedLines, config, theme, frameOptions }) into
+// `encoder` ('gif', 'apng', 'webp' or 'video'). The first worker encodes; the others draw
+// frames for it over message channels, so only a few frames exist at any time.
+export async function encodeInPool(pool, encoder, job, options = {}, { onProgress, onStats } = {}) {
+  const fontCssUrl = fontStylesheetUrl();
+  const channels = Array.from({ length: pool.size - 1 }, () => new MessageChannel());
+  const ports = channels.map(channel => channel.port2);
+
+  const renderers = channels.map((channel, i) =>
+    pool.run(i + 1, 'render', { ...job, fontCssUrl, port: channel.port1 }, { transfer: [channel.port1] }));
+  const encoding = pool.run(0, 'encode', { ...job, fontCssUrl, encoder, options, ports }, {
+    transfer: ports,
+    onProgress,
+    onStats,
+  });
+
+  const [blob] = await Promise.all([encoding, ...renderers]);
+  return blob;
+}